@@ -0,0 +1,74 @@
+import Ticket from '../models/Ticket.js';
+import { changeTicketStatus } from '../services/ticketActions.js';
+import { getSystemUser } from '../services/systemUser.js';
+import { getSetting } from '../services/settings.js';
+
+// Max tickets closed per run; the rest are picked up next run
+const BATCH_SIZE = 100;
+
+const CATEGORIES = ['technical', 'billing', 'general', 'feature_request'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Close resolved tickets whose customer has not replied within the
+// configured number of days (per category, 0 = never). The conditional
+// update is the claim, so a customer reply racing the job always wins; the
+// close itself then runs through changeTicketStatus like any other, so the
+// SLA clock is bookkept and the requester and watchers are notified.
+export const closeInactiveResolvedTickets = async (now = new Date()) => {
+  const [defaultDays, categoryDays] = await Promise.all([
+    getSetting('autoClose.afterDays'),
+    getSetting('autoClose.categoryDays')
+  ]);
+
+  const daysByCategory = CATEGORIES.map(category => [category, categoryDays[category] ?? defaultDays])
+    .filter(([, days]) => days > 0);
+  if (daysByCategory.length === 0) return 0;
+
+  const conditions = {
+    status: 'resolved',
+    autoCloseCancelledAt: null,
+    $or: daysByCategory.map(([category, days]) => ({
+      category,
+      resolvedAt: { $lte: new Date(now.getTime() - days * DAY_MS) }
+    }))
+  };
+
+  const candidates = await Ticket.find(conditions)
+    .select('_id category')
+    .sort({ resolvedAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+  if (candidates.length === 0) return 0;
+
+  const systemUser = await getSystemUser();
+  const inactiveDays = Object.fromEntries(daysByCategory);
+  let closed = 0;
+
+  for (const { _id, category } of candidates) {
+    // Returns the ticket as it was before the claim, still resolved
+    const ticket = await Ticket.findOneAndUpdate(
+      { _id, ...conditions },
+      { $set: { status: 'closed' } }
+    );
+
+    // The customer replied or an agent changed the ticket in the meantime
+    if (!ticket) continue;
+
+    await changeTicketStatus(ticket, 'closed', systemUser, {
+      enforceWorkflow: false,
+      timelineEntry: {
+        action: 'closed',
+        description: `Ticket closed automatically after ${inactiveDays[category]} days without a customer reply`,
+        details: { autoClosed: true, inactiveDays: inactiveDays[category] }
+      }
+    });
+    closed++;
+  }
+
+  if (closed > 0) {
+    console.log(`Auto-close job closed ${closed} resolved tickets`);
+  }
+
+  return closed;
+};
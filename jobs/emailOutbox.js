@@ -0,0 +1,80 @@
+import EmailMessage from '../models/EmailMessage.js';
+import { getMailFrom, getTransport } from '../services/mail/index.js';
+import { retryDelay } from '../utils/backoff.js';
+
+// Max messages sent per run; the rest are picked up next run
+const BATCH_SIZE = 50;
+
+// How long a claimed message is reserved before another run may retry it
+const CLAIM_MS = 5 * 60 * 1000;
+
+const maxAttempts = () => parseInt(process.env.MAIL_MAX_ATTEMPTS) || 8;
+
+// Backoff base: 1m, 2m, 4m, ... capped at 6h
+const retryBaseMs = () => parseInt(process.env.MAIL_RETRY_BASE_MS) || 60 * 1000;
+
+const dueConditions = (now) => ({
+  $or: [
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { status: 'sending', lockedUntil: { $lte: now } } // Sender died mid-delivery
+  ]
+});
+
+// Send queued emails. Failures are rescheduled with backoff until
+// MAIL_MAX_ATTEMPTS is reached, after which the message is marked failed.
+export const deliverQueuedEmails = async (now = new Date()) => {
+  const candidates = await EmailMessage.find(dueConditions(now))
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+  if (candidates.length === 0) return 0;
+
+  const transport = getTransport();
+  let sent = 0;
+
+  for (const { _id } of candidates) {
+    const message = await EmailMessage.findOneAndUpdate(
+      { _id, ...dueConditions(now) },
+      { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + CLAIM_MS) }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    // Another instance claimed it in the meantime
+    if (!message) continue;
+
+    try {
+      const { messageId } = await transport.send({
+        messageId: message.messageId,
+        from: getMailFrom(),
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+
+      message.status = 'sent';
+      message.sentAt = new Date();
+      message.messageId = messageId || message.messageId;
+      message.lastError = undefined;
+      sent++;
+    } catch (error) {
+      const failed = message.attempts >= maxAttempts();
+      message.status = failed ? 'failed' : 'pending';
+      message.lastError = error.message;
+      if (!failed) {
+        message.nextAttemptAt = new Date(Date.now() + retryDelay(message.attempts, retryBaseMs()));
+      }
+      console.error(`Email ${message._id} (${message.event}) attempt ${message.attempts} failed:`, error.message);
+    }
+
+    message.lockedUntil = undefined;
+    await message.save();
+  }
+
+  if (sent > 0) {
+    console.log(`Email outbox sent ${sent} messages`);
+  }
+
+  return sent;
+};
@@ -0,0 +1,158 @@
+import Ticket from '../models/Ticket.js';
+import EscalationRule from '../models/EscalationRule.js';
+import { createTimelineEntry } from '../services/timeline.js';
+import { getSystemUser } from '../services/systemUser.js';
+import { getCalendar } from '../services/calendars.js';
+import { PRIORITIES, addComment, assignTicket, changeTicketPriority } from '../services/ticketActions.js';
+import { businessTimeBetween, hoursToMs } from '../utils/businessHours.js';
+
+// Candidate tickets loaded per query; every candidate is examined each run
+const BATCH_SIZE = 200;
+
+// Candidate tickets for a rule; the percentage trigger is checked in code
+const buildRuleQuery = (rule, now) => {
+  const { priorities = [], categories = [], statuses = [], assignment = 'any' } = rule.conditions || {};
+
+  const query = {
+    status: statuses.length ? { $in: statuses } : { $nin: ['resolved', 'closed'] },
+    'escalations.rule': { $ne: rule._id }
+  };
+
+  if (priorities.length) query.priority = { $in: priorities };
+  if (categories.length) query.category = { $in: categories };
+  if (assignment === 'assigned') query.assignedTo = { $ne: null };
+  if (assignment === 'unassigned') query.assignedTo = null;
+
+  // Only tickets whose clock for this SLA is still running
+  if (rule.trigger.sla === 'response') {
+    query.firstResponseAt = null;
+  } else {
+    query.resolvedAt = null;
+    query['sla.pausedAt'] = null;
+  }
+
+  if (rule.trigger.when === 'breached') {
+    Object.assign(query, rule.trigger.sla === 'response'
+      ? Ticket.responseBreachCondition(now)
+      : Ticket.resolutionBreachCondition(now));
+  }
+
+  return query;
+};
+
+// Share of the SLA target (in working time) already used up
+const percentElapsed = (ticket, sla, now) => {
+  const deadline = sla === 'response' ? ticket.sla.responseDeadline : ticket.sla.resolutionDeadline;
+  const target = hoursToMs(sla === 'response' ? ticket.sla.responseTime : ticket.sla.resolutionTime);
+
+  if (!deadline || target <= 0) return 100;
+
+  const remaining = businessTimeBetween(now, deadline, getCalendar(ticket.sla.calendar));
+  return ((target - remaining) / target) * 100;
+};
+
+const isTriggered = (rule, ticket, now) => {
+  if (rule.trigger.when === 'breached') return true; // Already filtered by the query
+  return percentElapsed(ticket, rule.trigger.sla, now) >= rule.trigger.percent;
+};
+
+const runAction = async (ticket, action, actor, reason) => {
+  switch (action.type) {
+    case 'assign':
+      if (!ticket.assignedTo || !ticket.assignedTo.equals(action.assignee)) {
+        await assignTicket(ticket, action.assignee, actor, { reason });
+      }
+      break;
+    case 'set_priority':
+      if (ticket.priority !== action.priority) {
+        await changeTicketPriority(ticket, action.priority, actor, { reason });
+      }
+      break;
+    case 'bump_priority': {
+      const nextPriority = PRIORITIES[PRIORITIES.indexOf(ticket.priority) + 1];
+      if (nextPriority) {
+        await changeTicketPriority(ticket, nextPriority, actor, { reason });
+      }
+      break;
+    }
+    case 'add_internal_note':
+      await addComment(ticket, { content: action.note, type: 'internal_note' }, actor);
+      break;
+  }
+};
+
+// Fire a rule for one ticket, unless it has already fired for it.
+// The conditional $push is the claim, so concurrent evaluators never double-fire.
+const fireRule = async (rule, ticketId, actor, now) => {
+  const claim = await Ticket.updateOne(
+    { _id: ticketId, 'escalations.rule': { $ne: rule._id } },
+    { $push: { escalations: { rule: rule._id, firedAt: now } } }
+  );
+  if (claim.modifiedCount === 0) return false;
+
+  const ticket = await Ticket.findById(ticketId);
+  const reason = `escalation rule "${rule.name}"`;
+
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'escalated',
+    `Escalation rule "${rule.name}" fired`,
+    {
+      rule: rule._id,
+      ruleName: rule.name,
+      trigger: rule.trigger,
+      actions: rule.actions.map(action => action.type)
+    }
+  );
+
+  for (const action of rule.actions) {
+    try {
+      await runAction(ticket, action, actor, reason);
+    } catch (error) {
+      // One failing action (e.g. a deactivated assignee) must not block the others
+      console.error(`Escalation rule ${rule.name} action ${action.type} failed for ticket ${ticket._id}:`, error);
+    }
+  }
+
+  return true;
+};
+
+// Evaluate every active rule against open tickets
+export const evaluateEscalations = async (now = new Date()) => {
+  const rules = await EscalationRule.find({ isActive: true }).sort({ order: 1, createdAt: 1 });
+  if (rules.length === 0) return 0;
+
+  const actor = await getSystemUser();
+  let fired = 0;
+
+  for (const rule of rules) {
+    const query = buildRuleQuery(rule, now);
+    let lastId = null;
+
+    // Page through all candidates by _id; untriggered tickets stay in the
+    // query, so a fixed-size window would never reach newer tickets
+    for (;;) {
+      const candidates = await Ticket.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE);
+
+      for (const ticket of candidates) {
+        if (!isTriggered(rule, ticket, now)) continue;
+
+        if (await fireRule(rule, ticket._id, actor, now)) {
+          fired++;
+        }
+      }
+
+      if (candidates.length < BATCH_SIZE) break;
+      lastId = candidates[candidates.length - 1]._id;
+    }
+  }
+
+  if (fired > 0) {
+    console.log(`Escalation evaluator fired ${fired} rules`);
+  }
+
+  return fired;
+};
@@ -0,0 +1,22 @@
+import { registerJob, startScheduler } from './scheduler.js';
+import { loadCalendars } from '../services/calendars.js';
+import { scanSLABreaches } from './slaBreaches.js';
+import { evaluateEscalations } from './escalations.js';
+import { closeInactiveResolvedTickets } from './autoClose.js';
+import { deliverQueuedEmails } from './emailOutbox.js';
+import { deliverWebhooks } from './webhookDeliveries.js';
+
+const interval = (envName, fallbackMs) => parseInt(process.env[envName]) || fallbackMs;
+
+export const startJobs = () => {
+  // Every instance keeps its own calendar cache fresh
+  registerJob('refresh-calendars', interval('CALENDAR_REFRESH_INTERVAL_MS', 5 * 60 * 1000), loadCalendars, { exclusive: false });
+
+  registerJob('sla-breach-scan', interval('SLA_SCAN_INTERVAL_MS', 60 * 1000), scanSLABreaches);
+  registerJob('escalations', interval('ESCALATION_INTERVAL_MS', 60 * 1000), evaluateEscalations);
+  registerJob('email-outbox', interval('MAIL_OUTBOX_INTERVAL_MS', 15 * 1000), deliverQueuedEmails);
+  registerJob('webhook-deliveries', interval('WEBHOOK_DELIVERY_INTERVAL_MS', 10 * 1000), deliverWebhooks);
+  registerJob('auto-close', interval('AUTO_CLOSE_INTERVAL_MS', 60 * 60 * 1000), closeInactiveResolvedTickets);
+
+  startScheduler();
+};
@@ -0,0 +1,68 @@
+import os from 'os';
+import crypto from 'crypto';
+import JobLock from '../models/JobLock.js';
+
+// Identifies this process in JobLock documents
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = [];
+const timers = [];
+
+// Register a periodic job. Exclusive jobs take a lease in the database so
+// that only one server instance runs them per interval; non-exclusive jobs
+// (e.g. refreshing in-memory caches) run on every instance.
+export const registerJob = (name, intervalMs, handler, { exclusive = true } = {}) => {
+  jobs.push({ name, intervalMs, handler, exclusive, running: false });
+};
+
+// Try to take (or renew) the lease for a job. Returns false if another instance holds it.
+const acquireLock = async (name, leaseMs) => {
+  const now = new Date();
+
+  try {
+    await JobLock.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [
+          { lockedUntil: { $lte: now } },
+          { owner: instanceId }
+        ]
+      },
+      { owner: instanceId, lockedUntil: new Date(now.getTime() + leaseMs) },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // Duplicate key on upsert means the lease is held elsewhere
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const runJob = async (job) => {
+  // Never overlap runs of the same job within this process
+  if (job.running) return;
+  job.running = true;
+
+  try {
+    if (job.exclusive && !(await acquireLock(job.name, job.intervalMs))) {
+      return;
+    }
+    await job.handler();
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+export const startScheduler = () => {
+  for (const job of jobs) {
+    timers.push(setInterval(() => runJob(job), job.intervalMs));
+    runJob(job);
+  }
+};
+
+export const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
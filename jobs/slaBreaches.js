@@ -0,0 +1,60 @@
+import Ticket from '../models/Ticket.js';
+import { recordSLABreach } from '../services/timeline.js';
+import { getSystemUser } from '../services/systemUser.js';
+
+// Max tickets flagged per breach type and run; the rest are picked up next run
+const BATCH_SIZE = 100;
+
+const breachTypes = [
+  {
+    type: 'response',
+    flag: 'sla.isResponseBreached',
+    condition: (now) => Ticket.responseBreachCondition(now)
+  },
+  {
+    type: 'resolution',
+    flag: 'sla.isResolutionBreached',
+    condition: (now) => Ticket.resolutionBreachCondition(now)
+  }
+];
+
+// Find tickets that have newly passed an SLA deadline, persist the breach
+// flag and write one sla_breach timeline entry per breach. The conditional
+// update means that concurrent scanners can never flag the same breach twice.
+export const scanSLABreaches = async (now = new Date()) => {
+  const systemUser = await getSystemUser();
+  let flagged = 0;
+
+  for (const breach of breachTypes) {
+    const conditions = {
+      ...breach.condition(now),
+      status: { $nin: ['resolved', 'closed'] },
+      [breach.flag]: { $ne: true }
+    };
+
+    const candidates = await Ticket.find(conditions)
+      .select('_id')
+      .limit(BATCH_SIZE)
+      .lean();
+
+    for (const { _id } of candidates) {
+      const ticket = await Ticket.findOneAndUpdate(
+        { _id, ...conditions },
+        { $set: { [breach.flag]: true } },
+        { new: true }
+      );
+
+      // Someone else flagged it (or the ticket moved on) in the meantime
+      if (!ticket) continue;
+
+      await recordSLABreach(ticket, breach.type, systemUser);
+      flagged++;
+    }
+  }
+
+  if (flagged > 0) {
+    console.log(`SLA scanner flagged ${flagged} breaches`);
+  }
+
+  return flagged;
+};
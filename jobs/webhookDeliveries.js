@@ -0,0 +1,124 @@
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { signPayload } from '../services/webhooks.js';
+import { retryDelay } from '../utils/backoff.js';
+
+// Max deliveries attempted per run; the rest are picked up next run
+const BATCH_SIZE = 50;
+
+// How long a claimed delivery is reserved before another run may retry it
+const CLAIM_MS = 5 * 60 * 1000;
+
+// Response bodies are kept in the log for debugging, truncated
+const MAX_RESPONSE_BODY = 1000;
+
+const maxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const timeoutMs = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// Backoff base: 30s, 1m, 2m, ... capped at 6h
+const retryBaseMs = () => parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+
+const dueConditions = (now) => ({
+  $or: [
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { status: 'sending', lockedUntil: { $lte: now } } // Sender died mid-delivery
+  ]
+});
+
+// POST the signed payload; resolves with the response, throws on network errors
+const post = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs());
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'HelpDesk-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': signPayload(webhook.secret, body)
+      },
+      body,
+      signal: controller.signal,
+      redirect: 'manual'
+    });
+    const text = await response.text();
+    return { status: response.status, ok: response.ok, body: text.slice(0, MAX_RESPONSE_BODY) };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Send due webhook deliveries. Non-2xx responses and network errors are
+// retried with backoff until WEBHOOK_MAX_ATTEMPTS, then marked failed.
+export const deliverWebhooks = async (now = new Date()) => {
+  const candidates = await WebhookDelivery.find(dueConditions(now))
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+  if (candidates.length === 0) return 0;
+
+  let succeeded = 0;
+
+  for (const { _id } of candidates) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id, ...dueConditions(now) },
+      { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + CLAIM_MS) }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    // Another instance claimed it in the meantime
+    if (!delivery) continue;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    const started = Date.now();
+    let error = null;
+
+    if (!webhook || !webhook.isActive) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Webhook was deleted or disabled';
+    } else {
+      try {
+        const response = await post(webhook, delivery);
+        delivery.responseStatus = response.status;
+        delivery.responseBody = response.body;
+        if (!response.ok) {
+          error = `HTTP ${response.status}`;
+        }
+      } catch (requestError) {
+        delivery.responseStatus = undefined;
+        delivery.responseBody = undefined;
+        error = requestError.name === 'AbortError' ? `Timed out after ${timeoutMs()}ms` : requestError.message;
+      }
+
+      delivery.durationMs = Date.now() - started;
+
+      if (error) {
+        const failed = delivery.attempts >= maxAttempts();
+        delivery.status = failed ? 'failed' : 'pending';
+        delivery.lastError = error;
+        if (!failed) {
+          delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts, retryBaseMs()));
+        }
+      } else {
+        delivery.status = 'succeeded';
+        delivery.deliveredAt = new Date();
+        delivery.lastError = undefined;
+        succeeded++;
+      }
+    }
+
+    delivery.lockedUntil = undefined;
+    await delivery.save();
+  }
+
+  if (succeeded > 0) {
+    console.log(`Webhook job delivered ${succeeded} events`);
+  }
+
+  return succeeded;
+};
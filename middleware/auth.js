@@ -66,4 +66,13 @@ export const authorize = (...roles) => {
 
     next();
   };
-};
\ No newline at end of file
+};
+
+// Same as authenticate, but also accepts the token as ?access_token=, since
+// browser EventSource connections cannot send an Authorization header
+export const authenticateStream = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  return authenticate(req, res, next);
+};
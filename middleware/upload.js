@@ -0,0 +1,92 @@
+import multer from 'multer';
+import { AppError } from '../utils/AppError.js';
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip'
+];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Content checks per declared type, so a client cannot upload arbitrary
+// bytes labelled as an image. Types configured without a check here are
+// trusted as declared (downloads are always served as attachments).
+const CONTENT_CHECKS = {
+  'image/png': (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/jpeg': (b) => startsWith(b, [0xff, 0xd8, 0xff]),
+  'image/gif': (b) => startsWith(b, [0x47, 0x49, 0x46, 0x38]),
+  'image/webp': (b) => startsWith(b, [0x52, 0x49, 0x46, 0x46]) && startsWith(b, [0x57, 0x45, 0x42, 0x50], 8),
+  'application/pdf': (b) => startsWith(b, [0x25, 0x50, 0x44, 0x46, 0x2d]),
+  'application/zip': (b) => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) || startsWith(b, [0x50, 0x4b, 0x05, 0x06]),
+  'text/plain': isText,
+  'text/csv': isText
+};
+
+const matchesDeclaredType = (file) => {
+  const check = CONTENT_CHECKS[file.mimetype];
+  return !check || check(file.buffer);
+};
+
+export const getAttachmentLimits = () => ({
+  maxFileSize: parseInt(process.env.ATTACHMENT_MAX_SIZE) || 10 * 1024 * 1024, // 10 MB
+  maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES) || 5,
+  allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(t => t.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES
+});
+
+// Accept up to N files in the "attachments" field of a multipart request.
+// Files are kept in memory and persisted by the route once the request is valid.
+// Requests that are not multipart pass straight through.
+export const uploadAttachments = (req, res, next) => {
+  const { maxFileSize, maxFiles, allowedTypes } = getAttachmentLimits();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        return cb(new AppError('UNSUPPORTED_FILE_TYPE', `File type ${file.mimetype} is not allowed`, 415, 'attachments'));
+      }
+      cb(null, true);
+    }
+  }).array('attachments', maxFiles);
+
+  upload(req, res, (error) => {
+    if (!error) {
+      const mismatch = (req.files || []).find(file => !matchesDeclaredType(file));
+      if (mismatch) {
+        return next(new AppError('UNSUPPORTED_FILE_TYPE', `File ${mismatch.originalname} is not a valid ${mismatch.mimetype} file`, 415, 'attachments'));
+      }
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `File exceeds the maximum size of ${maxFileSize} bytes`,
+        LIMIT_FILE_COUNT: `Cannot upload more than ${maxFiles} files`,
+        LIMIT_UNEXPECTED_FILE: `Too many files or unexpected field (use "attachments", max ${maxFiles})`
+      };
+      const code = error.code === 'LIMIT_FILE_SIZE' ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD';
+      return next(new AppError(code, messages[error.code] || error.message, 400, 'attachments'));
+    }
+    next(error);
+  });
+};
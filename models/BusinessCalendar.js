@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import { isValidTimezone, parseTimeOfDay } from '../utils/businessHours.js';
+
+const TIME_OF_DAY = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const workingHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number, // 0 = Sunday ... 6 = Saturday
+    required: [true, 'Weekday is required'],
+    min: [0, 'Weekday must be between 0 and 6'],
+    max: [6, 'Weekday must be between 0 and 6']
+  },
+  start: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_OF_DAY, 'Start time must be in HH:mm format']
+  },
+  end: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_OF_DAY, 'End time must be in HH:mm format'],
+    validate: {
+      validator: function(value) {
+        return !this.start || parseTimeOfDay(value) > parseTimeOfDay(this.start);
+      },
+      message: 'End time must be after start time'
+    }
+  }
+}, { _id: false });
+
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD in the calendar's timezone
+    required: [true, 'Holiday date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be in YYYY-MM-DD format']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Holiday name cannot exceed 100 characters']
+  }
+}, { _id: false });
+
+const businessCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: [isValidTimezone, 'Invalid timezone']
+  },
+  workingHours: [workingHoursSchema],
+  holidays: [holidaySchema],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+businessCalendarSchema.index({ isDefault: 1 });
+
+// Update updatedAt before saving
+businessCalendarSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+// Only one calendar can be the default
+businessCalendarSchema.pre('save', async function(next) {
+  if (this.isModified('isDefault') && this.isDefault) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { isDefault: false }
+    );
+  }
+  next();
+});
+
+export default mongoose.model('BusinessCalendar', businessCalendarSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { toAttachmentJSON } from '../services/attachments.js';
 
 const commentSchema = new mongoose.Schema({
   ticket: {
@@ -21,9 +22,11 @@ const commentSchema = new mongoose.Schema({
     enum: ['comment', 'internal_note'],
     default: 'comment'
   },
+  // Set once at creation; edits and deletes never change it
   isFirstResponse: {
     type: Boolean,
-    default: false
+    default: false,
+    immutable: true
   },
   attachments: [{
     filename: String,
@@ -32,6 +35,36 @@ const commentSchema = new mongoose.Schema({
     size: Number,
     path: String
   }],
+  // Agents/admins @mentioned in the content (staff authors only)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Previous versions of the content, oldest first
+  revisions: [{
+    _id: false,
+    content: String,
+    editedAt: Date,
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  editedAt: {
+    type: Date
+  },
+  // Soft delete: the document stays as a tombstone
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -45,6 +78,7 @@ const commentSchema = new mongoose.Schema({
 // Indexes
 commentSchema.index({ ticket: 1, createdAt: 1 });
 commentSchema.index({ author: 1 });
+commentSchema.index({ mentions: 1 });
 
 // Text index for search
 commentSchema.index({ content: 'text' });
@@ -57,4 +91,38 @@ commentSchema.pre('save', function(next) {
   next();
 });
 
+// Attachments get download URLs instead of storage keys; tombstones never
+// expose their attachments
+commentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.isDeleted) {
+      ret.attachments = [];
+      ret.mentions = [];
+    } else if (ret.attachments) {
+      ret.attachments = toAttachmentJSON(ret.attachments, ret.ticket?._id || ret.ticket);
+    }
+    return ret;
+  }
+});
+
+export const DELETED_COMMENT_CONTENT = 'This comment was deleted';
+
+// Replace the content, keeping the previous version as a revision
+commentSchema.methods.edit = function(content, user) {
+  const now = new Date();
+  this.revisions.push({ content: this.content, editedAt: now, editedBy: user._id });
+  this.content = content;
+  this.editedAt = now;
+};
+
+// Soft delete: keep the last content as a revision and leave a tombstone
+commentSchema.methods.softDelete = function(user) {
+  const now = new Date();
+  this.revisions.push({ content: this.content, editedAt: now, editedBy: user._id });
+  this.content = DELETED_COMMENT_CONTENT;
+  this.isDeleted = true;
+  this.deletedAt = now;
+  this.deletedBy = user._id;
+};
+
 export default mongoose.model('Comment', commentSchema);
\ No newline at end of file
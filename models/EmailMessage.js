@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// Persisted email outbox. Notifications are queued here and delivered by the
+// email-outbox job, so a transport failure never fails the API request.
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient address is required'],
+    lowercase: true,
+    trim: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claim held by the delivering instance; expired claims are retried
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ ticket: 1, createdAt: -1 });
+emailMessageSchema.index({ messageId: 1 });
+
+// Update updatedAt before saving
+emailMessageSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+export default mongoose.model('EmailMessage', emailMessageSchema);
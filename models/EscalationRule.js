@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+const actionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Action type is required'],
+    enum: ['assign', 'set_priority', 'bump_priority', 'add_internal_note']
+  },
+  // For 'assign'
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // For 'set_priority'
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent']
+  },
+  // For 'add_internal_note'
+  note: {
+    type: String,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  }
+}, { _id: false });
+
+const escalationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Rules are evaluated in ascending order
+  order: {
+    type: Number,
+    default: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Which tickets the rule applies to (empty lists match anything)
+  conditions: {
+    priorities: [{
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent']
+    }],
+    categories: [{
+      type: String,
+      enum: ['technical', 'billing', 'general', 'feature_request']
+    }],
+    statuses: [{
+      type: String,
+      enum: ['open', 'in_progress', 'pending']
+    }],
+    assignment: {
+      type: String,
+      enum: ['any', 'assigned', 'unassigned'],
+      default: 'any'
+    }
+  },
+  // When the rule fires, relative to the ticket's SLA
+  trigger: {
+    sla: {
+      type: String,
+      enum: ['response', 'resolution'],
+      required: [true, 'Trigger SLA is required']
+    },
+    // percent_elapsed: working time used >= percent of the SLA target
+    // breached: deadline has passed
+    when: {
+      type: String,
+      enum: ['percent_elapsed', 'breached'],
+      required: [true, 'Trigger condition is required']
+    },
+    percent: {
+      type: Number,
+      min: [0, 'Percent must be between 0 and 100'],
+      max: [100, 'Percent must be between 0 and 100']
+    }
+  },
+  actions: {
+    type: [actionSchema],
+    validate: [actions => actions.length > 0, 'At least one action is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+escalationRuleSchema.index({ isActive: 1, order: 1 });
+
+// Action-specific required fields
+escalationRuleSchema.pre('validate', function(next) {
+  if (this.trigger?.when === 'percent_elapsed' && typeof this.trigger.percent !== 'number') {
+    this.invalidate('trigger.percent', 'Percent is required for percent_elapsed triggers');
+  }
+
+  this.actions.forEach((action, index) => {
+    if (action.type === 'assign' && !action.assignee) {
+      this.invalidate(`actions.${index}.assignee`, 'Assignee is required for assign actions');
+    }
+    if (action.type === 'set_priority' && !action.priority) {
+      this.invalidate(`actions.${index}.priority`, 'Priority is required for set_priority actions');
+    }
+    if (action.type === 'add_internal_note' && !action.note) {
+      this.invalidate(`actions.${index}.note`, 'Note is required for add_internal_note actions');
+    }
+  });
+
+  next();
+});
+
+// Update updatedAt before saving
+escalationRuleSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+export default mongoose.model('EscalationRule', escalationRuleSchema);
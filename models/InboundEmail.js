@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// Log of ingested inbound emails. Used to thread replies (by Message-ID),
+// to ignore redelivered messages and to hold quarantined mail for review.
+const inboundEmailSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  from: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['ticket_created', 'commented', 'quarantined', 'rejected'],
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  // Raw message, kept only for quarantined mail
+  raw: {
+    type: String,
+    select: false
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+inboundEmailSchema.index({ status: 1, receivedAt: -1 });
+inboundEmailSchema.index({ ticket: 1 });
+
+export default mongoose.model('InboundEmail', inboundEmailSchema);
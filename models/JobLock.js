@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Lease used so that only one server instance runs a scheduled job per interval
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String // Job name
+  },
+  owner: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+});
+
+export default mongoose.model('JobLock', jobLockSchema);
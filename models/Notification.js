@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_EVENTS = ['ticket_assigned', 'comment_added', 'mentioned', 'status_changed', 'priority_changed', 'sla_breach'];
+
+// In-app notification shown in a user's inbox
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: NOTIFICATION_EVENTS,
+    required: true
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Ticket title at the time of the event
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+import { TICKET_SORT_FIELDS } from './Ticket.js';
+import { parseTicketSearch } from '../services/ticketSearch.js';
+
+// Columns the ticket list UI can show
+export const VIEW_COLUMNS = [
+  'title',
+  'status',
+  'priority',
+  'category',
+  'assignedTo',
+  'createdBy',
+  'team',
+  'tags',
+  'sla',
+  'createdAt',
+  'updatedAt'
+];
+
+const idFilter = (message, allowMe = false) => ({
+  type: String,
+  validate: {
+    validator: (value) => (allowMe && value === 'me') || mongoose.isValidObjectId(value),
+    message
+  }
+});
+
+// Stored GET /api/tickets filters; "me" values resolve to whoever opens the view
+const filtersSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'pending', 'resolved', 'closed']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent']
+  },
+  assignedTo: idFilter('Must be a user ID or "me"', true),
+  createdBy: idFilter('Must be a user ID'),
+  team: idFilter('Must be a team ID'),
+  queue: {
+    type: String,
+    enum: ['my_teams']
+  },
+  breached: {
+    type: String,
+    enum: ['true']
+  },
+  mentioned: {
+    type: String,
+    enum: ['me']
+  },
+  watching: {
+    type: String,
+    enum: ['me']
+  },
+  search: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Search cannot exceed 200 characters'],
+    validate: {
+      validator: (value) => {
+        parseTicketSearch(value, { isStaff: true });
+        return true;
+      },
+      message: (props) => props.reason?.message || 'Invalid search query'
+    }
+  }
+}, { _id: false });
+
+// A named ticket list filter, private to its owner or shared with a role or team
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'role', 'team'],
+    default: 'private'
+  },
+  sharedWithRole: {
+    type: String,
+    enum: ['user', 'agent', 'admin'],
+    required: [function() { return this.visibility === 'role'; }, 'A role is required for role-shared views']
+  },
+  sharedWithTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [function() { return this.visibility === 'team'; }, 'A team is required for team-shared views']
+  },
+  filters: {
+    type: filtersSchema,
+    default: () => ({})
+  },
+  // Unset sortBy keeps the ticket list's own default sort
+  sort: {
+    sortBy: {
+      type: String,
+      enum: TICKET_SORT_FIELDS
+    },
+    sortOrder: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+  columns: [{
+    type: String,
+    enum: VIEW_COLUMNS
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+savedViewSchema.index({ owner: 1, name: 1 });
+savedViewSchema.index({ visibility: 1, sharedWithRole: 1 });
+savedViewSchema.index({ visibility: 1, sharedWithTeam: 1 });
+
+// Drop sharing targets that do not apply to the view's visibility
+savedViewSchema.pre('validate', function(next) {
+  if (this.visibility !== 'role') this.sharedWithRole = undefined;
+  if (this.visibility !== 'team') this.sharedWithTeam = undefined;
+  next();
+});
+
+// Update updatedAt before saving
+savedViewSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+export default mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Admin-editable application settings, one document per key
+const settingSchema = new mongoose.Schema({
+  _id: {
+    type: String // Setting key, e.g. 'assignment.strategy'
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('Setting', settingSchema);
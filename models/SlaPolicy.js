@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import { CUSTOMER_TIERS } from './User.js';
+
+const slaPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Policies are evaluated in ascending order; the first match wins
+  order: {
+    type: Number,
+    default: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Empty lists match anything
+  conditions: {
+    priorities: [{
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent']
+    }],
+    categories: [{
+      type: String,
+      enum: ['technical', 'billing', 'general', 'feature_request']
+    }],
+    requesterTiers: [{
+      type: String,
+      enum: CUSTOMER_TIERS
+    }],
+    requesterEmailDomains: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }]
+  },
+  responseTime: {
+    type: Number, // in hours
+    required: [true, 'Response time is required'],
+    min: [0, 'Response time cannot be negative']
+  },
+  resolutionTime: {
+    type: Number, // in hours
+    required: [true, 'Resolution time is required'],
+    min: [0, 'Resolution time cannot be negative']
+  },
+  // Business calendar for the deadlines (default calendar when empty)
+  calendar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BusinessCalendar'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+slaPolicySchema.index({ isActive: 1, order: 1 });
+
+// Update updatedAt before saving
+slaPolicySchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+// Check whether a (hypothetical) ticket matches this policy
+slaPolicySchema.statics.matches = function(policy, { priority, category, requester }) {
+  const { priorities = [], categories = [], requesterTiers = [], requesterEmailDomains = [] } = policy.conditions || {};
+
+  if (priorities.length && !priorities.includes(priority)) return false;
+  if (categories.length && !categories.includes(category)) return false;
+  if (requesterTiers.length && !requesterTiers.includes(requester?.tier || 'standard')) return false;
+
+  if (requesterEmailDomains.length) {
+    const domain = requester?.email?.split('@')[1]?.toLowerCase();
+    if (!domain || !requesterEmailDomains.includes(domain)) return false;
+  }
+
+  return true;
+};
+
+export default mongoose.model('SlaPolicy', slaPolicySchema);
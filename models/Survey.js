@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// Customer satisfaction survey, one per ticket, issued when it is resolved
+const surveySchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true,
+    unique: true
+  },
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Agent and category at resolution time, kept for aggregation
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  category: {
+    type: String,
+    enum: ['technical', 'billing', 'general', 'feature_request']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+  rating: {
+    type: Number,
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Embedded in the signed link; rotating it invalidates older links
+  tokenNonce: {
+    type: String,
+    select: false
+  },
+  submittedVia: {
+    type: String,
+    enum: ['app', 'link']
+  },
+  respondedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+surveySchema.index({ status: 1, respondedAt: -1 });
+surveySchema.index({ agent: 1, respondedAt: -1 });
+surveySchema.index({ category: 1, respondedAt: -1 });
+
+// Update updatedAt before saving
+surveySchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+export default mongoose.model('Survey', surveySchema);
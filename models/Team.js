@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Leads can assign the team's tickets to its members
+  leads: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // New tickets in these categories are routed to this team's queue
+  categories: [{
+    type: String,
+    enum: ['technical', 'billing', 'general', 'feature_request']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+teamSchema.index({ members: 1 });
+teamSchema.index({ leads: 1 });
+teamSchema.index({ categories: 1 });
+
+// Update updatedAt before saving
+teamSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+// Leads count as members of their team
+teamSchema.methods.hasMember = function(userId) {
+  return [...this.members, ...this.leads].some(id => id.equals(userId));
+};
+
+teamSchema.methods.isLead = function(userId) {
+  return this.leads.some(id => id.equals(userId));
+};
+
+// Teams a user belongs to (as member or lead)
+teamSchema.statics.findForUser = function(userId) {
+  return this.find({
+    isActive: true,
+    $or: [{ members: userId }, { leads: userId }]
+  });
+};
+
+export default mongoose.model('Team', teamSchema);
@@ -1,4 +1,16 @@
 import mongoose from 'mongoose';
+import { addBusinessTime, businessTimeBetween, hoursToMs } from '../utils/businessHours.js';
+import { getCalendar } from '../services/calendars.js';
+import { applySLAPolicy, getDefaultTargets } from '../services/slaPolicies.js';
+import { findTeamForCategory } from '../services/teams.js';
+import { toAttachmentJSON } from '../services/attachments.js';
+
+// Statuses that stop the resolution clock (waiting on the customer)
+export const getSLAPauseStatuses = () =>
+  (process.env.SLA_PAUSE_STATUSES || 'pending').split(',').map(s => s.trim()).filter(Boolean);
+
+// Fields the ticket list can be sorted (and cursor-paginated) by
+export const TICKET_SORT_FIELDS = ['createdAt', 'updatedAt', 'priority', 'status', 'title', 'sla.resolutionDeadline'];
 
 const ticketSchema = new mongoose.Schema({
   title: {
@@ -36,21 +48,42 @@ const ticketSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Team queue the ticket belongs to (may be set while assignedTo is empty)
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  // Users following the ticket (requester's colleagues, interested agents)
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   sla: {
+    // SLA policy matched at creation; targets below are a snapshot of it
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy'
+    },
+    policyName: {
+      type: String
+    },
     responseTime: {
       type: Number, // in hours
       default: function() {
-        const priorityMap = { low: 48, medium: 24, high: 8, urgent: 2 };
-        return priorityMap[this.priority] || 24;
+        return getDefaultTargets(this.priority).responseTime;
       }
     },
     resolutionTime: {
       type: Number, // in hours
       default: function() {
-        const priorityMap = { low: 168, medium: 72, high: 24, urgent: 8 };
-        return priorityMap[this.priority] || 72;
+        return getDefaultTargets(this.priority).resolutionTime;
       }
     },
+    // Business calendar used for deadline math (null = 24/7)
+    calendar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BusinessCalendar'
+    },
     responseDeadline: {
       type: Date
     },
@@ -64,12 +97,51 @@ const ticketSchema = new mongoose.Schema({
     isResolutionBreached: {
       type: Boolean,
       default: false
-    }
+    },
+    // Start of the current resolution clock (creation, or the last reopen)
+    resolutionClockStart: {
+      type: Date
+    },
+    // Resolution clock pauses (e.g. while pending on the customer)
+    pausedAt: {
+      type: Date
+    },
+    pausedTime: {
+      type: Number, // in ms of working time since the clock started, added to the resolution deadline
+      default: 0
+    },
+    pausedIntervals: [{
+      _id: false,
+      status: String,
+      start: Date,
+      end: Date,
+      duration: Number // in ms of working time
+    }]
   },
   tags: [{
     type: String,
     trim: true
   }],
+  // Files uploaded with the ticket (comment attachments live on the Comment)
+  attachments: [{
+    filename: String,
+    originalName: String,
+    mimetype: String,
+    size: Number,
+    path: String
+  }],
+  // Escalation rules that have fired for this ticket (each fires at most once)
+  escalations: [{
+    _id: false,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EscalationRule'
+    },
+    firedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Optimistic locking
   version: {
     type: Number,
@@ -91,17 +163,37 @@ const ticketSchema = new mongoose.Schema({
   },
   closedAt: {
     type: Date
+  },
+  reopenedAt: {
+    type: Date
+  },
+  // Set when the customer replies to a resolved ticket, which stops auto-close
+  autoCloseCancelledAt: {
+    type: Date
+  },
+  reopenCount: {
+    type: Number,
+    default: 0
   }
 });
 
 // Indexes for performance
 ticketSchema.index({ createdBy: 1 });
 ticketSchema.index({ assignedTo: 1 });
+ticketSchema.index({ watchers: 1 });
+ticketSchema.index({ team: 1, assignedTo: 1 });
 ticketSchema.index({ status: 1 });
 ticketSchema.index({ priority: 1 });
-ticketSchema.index({ createdAt: -1 });
+// Each TICKET_SORT_FIELDS key plus _id, for cursor pagination
+ticketSchema.index({ createdAt: -1, _id: -1 });
+ticketSchema.index({ updatedAt: -1, _id: -1 });
+ticketSchema.index({ priority: 1, _id: 1 });
+ticketSchema.index({ status: 1, _id: 1 });
+ticketSchema.index({ title: 1, _id: 1 });
+ticketSchema.index({ 'sla.resolutionDeadline': 1, _id: 1 });
 ticketSchema.index({ 'sla.responseDeadline': 1 });
 ticketSchema.index({ 'sla.resolutionDeadline': 1 });
+ticketSchema.index({ 'escalations.rule': 1 });
 
 // Text index for search
 ticketSchema.index({
@@ -110,12 +202,31 @@ ticketSchema.index({
   tags: 'text'
 });
 
+// Route new tickets to a team queue and snapshot the matching SLA policy
+ticketSchema.pre('save', async function() {
+  if (this.isNew) {
+    if (!this.team) {
+      this.team = (await findTeamForCategory(this.category))?._id;
+    }
+    await applySLAPolicy(this);
+  }
+});
+
 // Calculate SLA deadlines before saving
 ticketSchema.pre('save', function(next) {
   if (this.isNew) {
-    const now = new Date();
-    this.sla.responseDeadline = new Date(now.getTime() + (this.sla.responseTime * 60 * 60 * 1000));
-    this.sla.resolutionDeadline = new Date(now.getTime() + (this.sla.resolutionTime * 60 * 60 * 1000));
+    this.computeSLADeadlines();
+  }
+
+  // Moving a resolved/closed ticket back to an active status reopens it
+  if (this.isModified('status') && !this.isNew &&
+      !['resolved', 'closed'].includes(this.status) && (this.resolvedAt || this.closedAt)) {
+    this.reopen();
+  }
+
+  // Pause or resume the resolution clock
+  if (this.isModified('status')) {
+    this.updateSLAClock();
   }
   
   // Update updatedAt
@@ -128,15 +239,179 @@ ticketSchema.pre('save', function(next) {
   if (this.isModified('status')) {
     if (this.status === 'resolved' && !this.resolvedAt) {
       this.resolvedAt = new Date();
+      this.$locals.resolved = true;
     }
     if (this.status === 'closed' && !this.closedAt) {
       this.closedAt = new Date();
     }
+    if (this.status === 'resolved' && this.closedAt) {
+      this.closedAt = undefined;
+    }
   }
   
   next();
 });
 
+// Recompute deadlines by counting working time from ticket creation
+ticketSchema.methods.computeSLADeadlines = function() {
+  const calendar = getCalendar(this.sla.calendar);
+  const start = this.createdAt || new Date();
+
+  this.sla.responseDeadline = addBusinessTime(start, hoursToMs(this.sla.responseTime), calendar);
+  this.sla.resolutionDeadline = addBusinessTime(
+    this.sla.resolutionClockStart || start,
+    hoursToMs(this.sla.resolutionTime) + (this.sla.pausedTime || 0),
+    calendar
+  );
+};
+
+// Clear the resolution timestamps and restart the resolution clock from now.
+// Called by the pre-save hook; $locals.reopened tells the caller to log it.
+ticketSchema.methods.reopen = function(now = new Date()) {
+  this.resolvedAt = undefined;
+  this.closedAt = undefined;
+  this.reopenedAt = now;
+  this.autoCloseCancelledAt = undefined;
+  this.reopenCount = (this.reopenCount || 0) + 1;
+
+  this.sla.resolutionClockStart = now;
+  this.sla.pausedTime = 0;
+  this.sla.isResolutionBreached = false;
+  this.computeSLADeadlines();
+
+  this.$locals.reopened = true;
+};
+
+// Re-resolve the SLA policy after a priority change and recompute both
+// deadlines from the creation time. Deadlines that are already in the past
+// mark the ticket breached straight away; a later deadline never clears a
+// breach that already happened. The caller saves the ticket.
+ticketSchema.methods.recomputeSLA = async function(now = new Date()) {
+  const oldResponseDeadline = this.sla.responseDeadline;
+  const oldResolutionDeadline = this.sla.resolutionDeadline;
+  const wasResponseBreached = this.sla.isResponseBreached;
+  const wasResolutionBreached = this.sla.isResolutionBreached;
+
+  await applySLAPolicy(this);
+  this.computeSLADeadlines();
+
+  // Newly passed deadlines breach while the clock is still running
+  if (!this.firstResponseAt && this.sla.responseDeadline < now) {
+    this.sla.isResponseBreached = true;
+  }
+  if (!this.resolvedAt && !this.sla.pausedAt && this.sla.resolutionDeadline < now) {
+    this.sla.isResolutionBreached = true;
+  }
+
+  const newlyBreached = [];
+  if (this.sla.isResponseBreached && !wasResponseBreached) newlyBreached.push('response');
+  if (this.sla.isResolutionBreached && !wasResolutionBreached) newlyBreached.push('resolution');
+
+  return {
+    policy: this.sla.policy,
+    policyName: this.sla.policyName,
+    oldResponseDeadline,
+    newResponseDeadline: this.sla.responseDeadline,
+    oldResolutionDeadline,
+    newResolutionDeadline: this.sla.resolutionDeadline,
+    newlyBreached
+  };
+};
+
+// Start or stop the resolution clock pause based on the current status.
+// The resulting event is left in $locals for the caller to put on the timeline.
+ticketSchema.methods.updateSLAClock = function(now = new Date()) {
+  const shouldPause = getSLAPauseStatuses().includes(this.status);
+
+  if (shouldPause && !this.sla.pausedAt) {
+    this.sla.pausedAt = now;
+    this.sla.pausedIntervals.push({ status: this.status, start: now });
+    this.$locals.slaClockEvent = {
+      action: 'sla_paused',
+      status: this.status,
+      pausedAt: now
+    };
+  } else if (!shouldPause && this.sla.pausedAt) {
+    const calendar = getCalendar(this.sla.calendar);
+    const pausedAt = this.sla.pausedAt;
+    const duration = businessTimeBetween(pausedAt, now, calendar);
+    const oldResolutionDeadline = this.sla.resolutionDeadline;
+
+    const interval = this.sla.pausedIntervals[this.sla.pausedIntervals.length - 1];
+    if (interval && !interval.end) {
+      interval.end = now;
+      interval.duration = duration;
+    }
+    this.sla.pausedTime = (this.sla.pausedTime || 0) + duration;
+    this.sla.pausedAt = undefined;
+    this.sla.resolutionDeadline = addBusinessTime(oldResolutionDeadline, duration, calendar);
+
+    this.$locals.slaClockEvent = {
+      action: 'sla_resumed',
+      status: this.status,
+      pausedAt,
+      resumedAt: now,
+      duration,
+      oldResolutionDeadline,
+      newResolutionDeadline: this.sla.resolutionDeadline
+    };
+  }
+};
+
+// Recompute stored deadlines of open tickets on a calendar after it was
+// edited. Breaches are left to the SLA scanner, which logs them.
+ticketSchema.statics.recomputeCalendarDeadlines = async function(calendarId) {
+  const tickets = this.find({
+    'sla.calendar': calendarId,
+    status: { $nin: ['resolved', 'closed'] }
+  }).cursor();
+  let updated = 0;
+
+  for await (const ticket of tickets) {
+    ticket.computeSLADeadlines();
+    await this.updateOne({ _id: ticket._id }, {
+      $set: {
+        'sla.responseDeadline': ticket.sla.responseDeadline,
+        'sla.resolutionDeadline': ticket.sla.resolutionDeadline
+      }
+    });
+    updated++;
+  }
+
+  return updated;
+};
+
+// Tickets counting towards an agent's open workload
+ticketSchema.statics.openWorkloadQuery = function(assignedTo) {
+  return {
+    assignedTo,
+    status: { $nin: ['closed', 'resolved'] }
+  };
+};
+
+// Query conditions matching tickets whose deadlines have passed
+ticketSchema.statics.responseBreachCondition = function(now = new Date()) {
+  return {
+    firstResponseAt: null,
+    'sla.responseDeadline': { $lt: now }
+  };
+};
+
+ticketSchema.statics.resolutionBreachCondition = function(now = new Date()) {
+  return {
+    resolvedAt: null,
+    'sla.pausedAt': null,
+    'sla.resolutionDeadline': { $lt: now }
+  };
+};
+
+ticketSchema.statics.slaBreachConditions = function(now = new Date()) {
+  return [
+    this.responseBreachCondition(now),
+    this.resolutionBreachCondition(now)
+  ];
+};
+
 // Check for SLA breaches
 ticketSchema.methods.checkSLABreaches = function() {
   const now = new Date();
@@ -145,23 +420,42 @@ ticketSchema.methods.checkSLABreaches = function() {
     this.sla.isResponseBreached = true;
   }
   
-  if (!this.resolvedAt && now > this.sla.resolutionDeadline) {
+  if (!this.resolvedAt && !this.sla.pausedAt && now > this.sla.resolutionDeadline) {
     this.sla.isResolutionBreached = true;
   }
 };
 
-// Virtual for time remaining
+// Virtual for time remaining (working time left on the ticket's calendar)
 ticketSchema.virtual('timeToResponse').get(function() {
-  if (this.firstResponseAt) return null;
-  return Math.max(0, this.sla.responseDeadline.getTime() - Date.now());
+  if (this.firstResponseAt || !this.sla.responseDeadline) return null;
+  return businessTimeBetween(new Date(), this.sla.responseDeadline, getCalendar(this.sla.calendar));
 });
 
 ticketSchema.virtual('timeToResolution').get(function() {
-  if (this.resolvedAt) return null;
-  return Math.max(0, this.sla.resolutionDeadline.getTime() - Date.now());
+  if (this.resolvedAt || !this.sla.resolutionDeadline) return null;
+  // The clock is frozen while paused
+  const from = this.sla.pausedAt || new Date();
+  return businessTimeBetween(from, this.sla.resolutionDeadline, getCalendar(this.sla.calendar));
 });
 
-// Include virtuals in JSON
-ticketSchema.set('toJSON', { virtuals: true });
+// Total working time the resolution clock has been paused, including any running pause
+ticketSchema.virtual('totalPausedDuration').get(function() {
+  const running = this.sla.pausedAt
+    ? businessTimeBetween(this.sla.pausedAt, new Date(), getCalendar(this.sla.calendar))
+    : 0;
+  const completed = this.sla.pausedIntervals.reduce((total, interval) => total + (interval.duration || 0), 0);
+  return completed + running;
+});
+
+// Include virtuals in JSON; attachments get download URLs instead of storage keys
+ticketSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    if (ret.attachments) {
+      ret.attachments = toAttachmentJSON(ret.attachments, ret._id);
+    }
+    return ret;
+  }
+});
 
 export default mongoose.model('Ticket', ticketSchema);
\ No newline at end of file
@@ -22,10 +22,18 @@ const timelineSchema = new mongoose.Schema({
       'status_changed',
       'priority_changed',
       'commented',
+      'comment_edited',
+      'comment_deleted',
       'resolved',
       'closed',
       'reopened',
-      'sla_breach'
+      'sla_breach',
+      'sla_paused',
+      'sla_resumed',
+      'escalated',
+      'csat_submitted',
+      'watcher_added',
+      'watcher_removed'
     ]
   },
   details: {
@@ -1,6 +1,12 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import validator from 'validator';
+import { NOTIFICATION_EVENTS } from './Notification.js';
+
+export const CUSTOMER_TIERS = ['standard', 'premium', 'enterprise'];
+
+// Fields the user list can be sorted (and cursor-paginated) by
+export const USER_SORT_FIELDS = ['createdAt', 'name', 'email', 'lastLoginAt'];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,10 +33,26 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'agent', 'admin'],
     default: 'user'
   },
+  // Customer tier, used for SLA policy matching
+  tier: {
+    type: String,
+    enum: CUSTOMER_TIERS,
+    default: 'standard'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Internal actor used by background jobs
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Notification event types (e.g. "priority_changed") the user does not want, in-app or by email
+  mutedNotifications: [{
+    type: String,
+    enum: NOTIFICATION_EVENTS
+  }],
   lastLoginAt: {
     type: Date
   },
@@ -47,6 +69,11 @@ const userSchema = new mongoose.Schema({
 // Index for performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+// Each USER_SORT_FIELDS key plus _id, for cursor pagination
+userSchema.index({ createdAt: -1, _id: -1 });
+userSchema.index({ name: 1, _id: 1 });
+userSchema.index({ email: 1, _id: 1 });
+userSchema.index({ lastLoginAt: -1, _id: -1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import validator from 'validator';
+import { WEBHOOK_EVENTS } from '../utils/webhookEvents.js';
+
+// Admin-managed subscription: ticket events are POSTed to `url`, signed with `secret`
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    validate: {
+      validator: (value) => validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true, require_tld: false }),
+      message: 'URL must be a valid http(s) URL'
+    }
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: { values: WEBHOOK_EVENTS, message: 'Unknown webhook event: {VALUE}' }
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  // HMAC-SHA256 signing secret; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Update updatedAt before saving
+webhookSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+export default mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// Persisted delivery log. Each event is queued here per subscribed webhook and
+// sent by the webhook-deliveries job with exponential-backoff retries.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claim held by the delivering instance; expired claims are retried
+  lockedUntil: {
+    type: Date
+  },
+  // Outcome of the last attempt
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: String
+  },
+  lastError: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  },
+  deliveredAt: {
+    type: Date
+  },
+  // Set on copies created by the redeliver endpoint
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Update updatedAt before saving
+webhookDeliverySchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,183 @@
+import express from 'express';
+import BusinessCalendar from '../models/BusinessCalendar.js';
+import Ticket from '../models/Ticket.js';
+import SlaPolicy from '../models/SlaPolicy.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { loadCalendars } from '../services/calendars.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+const editableFields = ['name', 'timezone', 'workingHours', 'holidays', 'isDefault'];
+
+// @route   GET /api/calendars
+// @desc    List business calendars
+// @access  Private (agents/admins)
+router.get('/', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const calendars = await BusinessCalendar.find({}).sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      calendars
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/calendars/:id
+// @desc    Get a single business calendar
+// @access  Private (agents/admins)
+router.get('/:id', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const calendar = await BusinessCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        error: {
+          code: 'CALENDAR_NOT_FOUND',
+          message: 'Calendar not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      calendar
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/calendars
+// @desc    Create a business calendar
+// @access  Private (admin)
+router.post('/', authorize('admin'), async (req, res, next) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({
+        error: {
+          code: 'FIELD_REQUIRED',
+          field: 'name',
+          message: 'Name is required'
+        }
+      });
+    }
+
+    const data = {};
+    editableFields.forEach(key => {
+      if (req.body[key] !== undefined) {
+        data[key] = req.body[key];
+      }
+    });
+
+    const calendar = await BusinessCalendar.create(data);
+    await loadCalendars();
+
+    res.status(201).json({
+      success: true,
+      calendar
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/calendars/:id
+// @desc    Update a business calendar and recompute its open tickets' deadlines
+// @access  Private (admin)
+router.patch('/:id', authorize('admin'), async (req, res, next) => {
+  try {
+    const calendar = await BusinessCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        error: {
+          code: 'CALENDAR_NOT_FOUND',
+          message: 'Calendar not found'
+        }
+      });
+    }
+
+    editableFields.forEach(key => {
+      if (req.body[key] !== undefined) {
+        calendar[key] = req.body[key];
+      }
+    });
+
+    const scheduleChanged = ['timezone', 'workingHours', 'holidays'].some(key => calendar.isModified(key));
+    await calendar.save();
+    await loadCalendars();
+
+    // Stored deadlines were counted on the old schedule
+    if (scheduleChanged) {
+      await Ticket.recomputeCalendarDeadlines(calendar._id);
+    }
+
+    res.json({
+      success: true,
+      calendar
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/calendars/:id
+// @desc    Delete a business calendar that no active ticket or SLA policy uses
+// @access  Private (admin)
+router.delete('/:id', authorize('admin'), async (req, res, next) => {
+  try {
+    const calendar = await BusinessCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        error: {
+          code: 'CALENDAR_NOT_FOUND',
+          message: 'Calendar not found'
+        }
+      });
+    }
+
+    const ticketsUsingCalendar = await Ticket.countDocuments({
+      'sla.calendar': calendar._id,
+      status: { $nin: ['closed', 'resolved'] }
+    });
+
+    if (ticketsUsingCalendar > 0) {
+      return res.status(409).json({
+        error: {
+          code: 'CALENDAR_IN_USE',
+          message: `Calendar is used by ${ticketsUsingCalendar} active tickets`
+        }
+      });
+    }
+
+    const policiesUsingCalendar = await SlaPolicy.countDocuments({ calendar: calendar._id });
+
+    if (policiesUsingCalendar > 0) {
+      return res.status(409).json({
+        error: {
+          code: 'CALENDAR_IN_USE',
+          message: `Calendar is used by ${policiesUsingCalendar} SLA policies`
+        }
+      });
+    }
+
+    await calendar.deleteOne();
+    await loadCalendars();
+
+    res.json({
+      success: true,
+      message: 'Calendar deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
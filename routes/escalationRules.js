@@ -0,0 +1,135 @@
+import express from 'express';
+import EscalationRule from '../models/EscalationRule.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+const editableFields = ['name', 'description', 'order', 'isActive', 'conditions', 'trigger', 'actions'];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  editableFields.forEach(key => {
+    if (body[key] !== undefined) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+// @route   GET /api/escalation-rules
+// @desc    List escalation rules in evaluation order
+// @access  Private (agents/admins)
+router.get('/', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const rules = await EscalationRule.find({})
+      .populate('actions.assignee', 'name email role')
+      .sort({ order: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/escalation-rules/:id
+// @desc    Get a single escalation rule
+// @access  Private (agents/admins)
+router.get('/:id', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const rule = await EscalationRule.findById(req.params.id)
+      .populate('actions.assignee', 'name email role');
+
+    if (!rule) {
+      return res.status(404).json({
+        error: {
+          code: 'ESCALATION_RULE_NOT_FOUND',
+          message: 'Escalation rule not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/escalation-rules
+// @desc    Create an escalation rule
+// @access  Private (admin)
+router.post('/', authorize('admin'), async (req, res, next) => {
+  try {
+    const rule = await EscalationRule.create(pickEditableFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/escalation-rules/:id
+// @desc    Update an escalation rule (tickets it already fired for are not re-evaluated)
+// @access  Private (admin)
+router.patch('/:id', authorize('admin'), async (req, res, next) => {
+  try {
+    const rule = await EscalationRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: {
+          code: 'ESCALATION_RULE_NOT_FOUND',
+          message: 'Escalation rule not found'
+        }
+      });
+    }
+
+    Object.assign(rule, pickEditableFields(req.body));
+    await rule.save();
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/escalation-rules/:id
+// @desc    Delete an escalation rule
+// @access  Private (admin)
+router.delete('/:id', authorize('admin'), async (req, res, next) => {
+  try {
+    const rule = await EscalationRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: {
+          code: 'ESCALATION_RULE_NOT_FOUND',
+          message: 'Escalation rule not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Escalation rule deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
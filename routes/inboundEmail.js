@@ -0,0 +1,144 @@
+import express from 'express';
+import crypto from 'crypto';
+import InboundEmail from '../models/InboundEmail.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { ingestEmail } from '../services/inboundEmail.js';
+
+const router = express.Router();
+
+// Raw RFC 822 bodies as posted by the mail gateway
+const rawMessage = express.text({
+  type: ['message/rfc822', 'text/plain'],
+  limit: process.env.INBOUND_EMAIL_MAX_SIZE || '25mb'
+});
+
+// The mail gateway authenticates with a shared secret instead of a user token
+const requireInboundSecret = (req, res, next) => {
+  const secret = process.env.INBOUND_EMAIL_SECRET;
+  const provided = req.headers['x-inbound-email-secret'];
+
+  const valid = secret && typeof provided === 'string' && provided.length === secret.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(secret));
+
+  if (!valid) {
+    return res.status(401).json({
+      error: {
+        code: 'INVALID_INBOUND_SECRET',
+        message: 'A valid X-Inbound-Email-Secret header is required'
+      }
+    });
+  }
+  next();
+};
+
+// @route   POST /api/inbound-email
+// @desc    Ingest a raw RFC 822 message (Content-Type: message/rfc822)
+// @access  Mail gateway (X-Inbound-Email-Secret)
+router.post('/', requireInboundSecret, rawMessage, async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        error: {
+          code: 'FIELD_REQUIRED',
+          message: 'A raw message body with Content-Type message/rfc822 is required'
+        }
+      });
+    }
+
+    const { status, inboundEmail, ticket, comment } = await ingestEmail(req.body);
+
+    res.status(['ticket_created', 'commented'].includes(status) ? 201 : 202).json({
+      success: true,
+      status,
+      inboundEmail: inboundEmail._id,
+      ...(ticket ? { ticket: ticket._id } : {}),
+      ...(comment ? { comment: comment._id } : {})
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/inbound-email/quarantine
+// @desc    List quarantined inbound emails
+// @access  Private (admin)
+router.get('/quarantine', authenticate, authorize('admin'), async (req, res, next) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const total = await InboundEmail.countDocuments({ status: 'quarantined' });
+
+    const emails = await InboundEmail.find({ status: 'quarantined' })
+      .sort({ receivedAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit));
+
+    const nextOffset = parseInt(offset) + parseInt(limit);
+
+    res.json({
+      success: true,
+      emails,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        next_offset: nextOffset < total ? nextOffset : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/inbound-email/quarantine/:id/raw
+// @desc    Download the raw source of a quarantined email
+// @access  Private (admin)
+router.get('/quarantine/:id/raw', authenticate, authorize('admin'), async (req, res, next) => {
+  try {
+    const email = await InboundEmail.findOne({ _id: req.params.id, status: 'quarantined' }).select('+raw');
+
+    if (!email) {
+      return res.status(404).json({
+        error: {
+          code: 'INBOUND_EMAIL_NOT_FOUND',
+          message: 'Quarantined email not found'
+        }
+      });
+    }
+
+    res.type('message/rfc822').send(email.raw);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/inbound-email/quarantine/:id
+// @desc    Discard a quarantined email
+// @access  Private (admin)
+router.delete('/quarantine/:id', authenticate, authorize('admin'), async (req, res, next) => {
+  try {
+    const email = await InboundEmail.findOneAndUpdate(
+      { _id: req.params.id, status: 'quarantined' },
+      { status: 'rejected', reason: `Discarded by ${req.user.name}`, $unset: { raw: 1 } },
+      { new: true }
+    );
+
+    if (!email) {
+      return res.status(404).json({
+        error: {
+          code: 'INBOUND_EMAIL_NOT_FOUND',
+          message: 'Quarantined email not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quarantined email discarded'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,158 @@
+import express from 'express';
+import Notification, { NOTIFICATION_EVENTS } from '../models/Notification.js';
+import { authenticate } from '../middleware/auth.js';
+import { getVisibilityPolicy, presentNotification } from '../services/visibility.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// @route   GET /api/notifications
+// @desc    List the current user's notifications, newest first (?unread=true for unread only)
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const { unread, limit = 20, offset = 0 } = req.query;
+
+    const query = { recipient: req.user._id };
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+
+    const total = await Notification.countDocuments(query);
+
+    const notifications = await Notification.find(query)
+      .populate('actor', 'name role')
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit));
+
+    const nextOffset = parseInt(offset) + parseInt(limit);
+    const policy = await getVisibilityPolicy(req.user);
+
+    res.json({
+      success: true,
+      notifications: notifications.map(notification => presentNotification(notification, policy)),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        next_offset: nextOffset < total ? nextOffset : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications
+// @access  Private
+router.get('/unread-count', async (req, res, next) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+    res.json({
+      success: true,
+      count
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Event types the current user has muted
+// @access  Private
+router.get('/preferences', (req, res) => {
+  res.json({
+    success: true,
+    events: NOTIFICATION_EVENTS,
+    muted: req.user.mutedNotifications || []
+  });
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Replace the list of muted event types (applies to in-app and email notifications)
+// @access  Private
+router.put('/preferences', async (req, res, next) => {
+  try {
+    const { muted } = req.body;
+
+    if (!Array.isArray(muted) || muted.some(event => !NOTIFICATION_EVENTS.includes(event))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_PREFERENCES',
+          field: 'muted',
+          message: `muted must be a list of: ${NOTIFICATION_EVENTS.join(', ')}`
+        }
+      });
+    }
+
+    req.user.mutedNotifications = [...new Set(muted)];
+    await req.user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      events: NOTIFICATION_EVENTS,
+      muted: req.user.mutedNotifications
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.post('/read-all', async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.post('/:id/read', async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        error: {
+          code: 'NOTIFICATION_NOT_FOUND',
+          message: 'Notification not found'
+        }
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    await notification.populate('actor', 'name role');
+    const policy = await getVisibilityPolicy(req.user);
+
+    res.json({
+      success: true,
+      notification: presentNotification(notification, policy)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
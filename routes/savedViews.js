@@ -0,0 +1,158 @@
+import express from 'express';
+import SavedView from '../models/SavedView.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  accessibleViewsQuery,
+  assertCanShare,
+  canEditView,
+  countViewTickets,
+  findAccessibleView
+} from '../services/savedViews.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+const editableFields = ['name', 'description', 'visibility', 'sharedWithRole', 'sharedWithTeam', 'filters', 'sort', 'columns'];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  editableFields.forEach(key => {
+    if (body[key] !== undefined) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+const forbidden = (res) => res.status(403).json({
+  error: {
+    code: 'FORBIDDEN',
+    message: 'Only the owner can change this view'
+  }
+});
+
+// @route   GET /api/saved-views
+// @desc    List the user's own views and views shared with their role or teams
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const views = await SavedView.find(await accessibleViewsQuery(req.user))
+      .populate('owner', 'name')
+      .populate('sharedWithTeam', 'name')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      views
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/saved-views/:id
+// @desc    Get a single saved view
+// @access  Private
+router.get('/:id', async (req, res, next) => {
+  try {
+    const view = await findAccessibleView(req.user, req.params.id);
+    await view.populate('owner', 'name');
+    await view.populate('sharedWithTeam', 'name');
+
+    res.json({
+      success: true,
+      view
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/saved-views/:id/counts
+// @desc    Live ticket counts for a view's badge (total and per status)
+// @access  Private
+router.get('/:id/counts', async (req, res, next) => {
+  try {
+    const view = await findAccessibleView(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      counts: await countViewTickets(req.user, view)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/saved-views
+// @desc    Save a view (private unless shared with a role or team)
+// @access  Private
+router.post('/', async (req, res, next) => {
+  try {
+    const data = pickEditableFields(req.body);
+    await assertCanShare(req.user, data);
+
+    const view = await SavedView.create({
+      ...data,
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      view
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/saved-views/:id
+// @desc    Update a saved view
+// @access  Private (owner or admin)
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const view = await findAccessibleView(req.user, req.params.id);
+    if (!canEditView(req.user, view)) return forbidden(res);
+
+    const data = pickEditableFields(req.body);
+    const visibility = data.visibility || view.visibility;
+    await assertCanShare(req.user, {
+      visibility,
+      sharedWithRole: data.sharedWithRole ?? view.sharedWithRole,
+      sharedWithTeam: data.sharedWithTeam ?? view.sharedWithTeam
+    });
+
+    Object.assign(view, data);
+    await view.save();
+
+    res.json({
+      success: true,
+      view
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/saved-views/:id
+// @desc    Delete a saved view
+// @access  Private (owner or admin)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const view = await findAccessibleView(req.user, req.params.id);
+    if (!canEditView(req.user, view)) return forbidden(res);
+
+    await view.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Saved view deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
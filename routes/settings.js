@@ -0,0 +1,54 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { getSettings, updateSetting } from '../services/settings.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// @route   GET /api/settings
+// @desc    List all settings with their current values
+// @access  Private (admin)
+router.get('/', authorize('admin'), async (req, res, next) => {
+  try {
+    const settings = await getSettings();
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/settings/:key
+// @desc    Update a setting, e.g. PATCH /api/settings/assignment.strategy { "value": "round_robin" }
+// @access  Private (admin)
+router.patch('/:key', authorize('admin'), async (req, res, next) => {
+  try {
+    const { value } = req.body;
+
+    if (value === undefined) {
+      return res.status(400).json({
+        error: {
+          code: 'FIELD_REQUIRED',
+          field: 'value',
+          message: 'Value is required'
+        }
+      });
+    }
+
+    await updateSetting(req.params.key, value, req.user);
+
+    res.json({
+      success: true,
+      settings: await getSettings()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
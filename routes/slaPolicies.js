@@ -0,0 +1,190 @@
+import express from 'express';
+import SlaPolicy from '../models/SlaPolicy.js';
+import User from '../models/User.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { resolveSLATargets } from '../services/slaPolicies.js';
+import { getCalendar } from '../services/calendars.js';
+import { addBusinessTime, hoursToMs } from '../utils/businessHours.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+const editableFields = ['name', 'description', 'order', 'isActive', 'conditions', 'responseTime', 'resolutionTime', 'calendar'];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  editableFields.forEach(key => {
+    if (body[key] !== undefined) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+// @route   GET /api/sla-policies
+// @desc    List SLA policies in evaluation order
+// @access  Private (agents/admins)
+router.get('/', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const policies = await SlaPolicy.find({})
+      .populate('calendar', 'name timezone')
+      .sort({ order: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      policies
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sla-policies/preview
+// @desc    Preview which policy and deadlines a hypothetical ticket would get
+// @access  Private (agents/admins)
+router.post('/preview', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const {
+      priority = 'medium',
+      category = 'general',
+      requester: requesterId,
+      requesterEmail,
+      requesterTier
+    } = req.body;
+
+    let requester = null;
+    if (requesterId) {
+      requester = await User.findById(requesterId).select('email role tier').lean();
+      if (!requester) {
+        return res.status(404).json({
+          error: {
+            code: 'USER_NOT_FOUND',
+            message: 'Requester not found'
+          }
+        });
+      }
+    } else if (requesterEmail || requesterTier) {
+      requester = { email: requesterEmail, tier: requesterTier };
+    }
+
+    const targets = await resolveSLATargets({ priority, category, requester });
+    const calendar = getCalendar(targets.calendar);
+    const now = new Date();
+
+    res.json({
+      success: true,
+      policy: targets.policy,
+      targets: {
+        responseTime: targets.responseTime,
+        resolutionTime: targets.resolutionTime,
+        calendar: calendar ? { _id: calendar._id, name: calendar.name } : null
+      },
+      // Deadlines the ticket would get if it were created now
+      deadlines: {
+        responseDeadline: addBusinessTime(now, hoursToMs(targets.responseTime), calendar),
+        resolutionDeadline: addBusinessTime(now, hoursToMs(targets.resolutionTime), calendar)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/sla-policies/:id
+// @desc    Get a single SLA policy
+// @access  Private (agents/admins)
+router.get('/:id', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id)
+      .populate('calendar', 'name timezone');
+
+    if (!policy) {
+      return res.status(404).json({
+        error: {
+          code: 'SLA_POLICY_NOT_FOUND',
+          message: 'SLA policy not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/sla-policies
+// @desc    Create an SLA policy
+// @access  Private (admin)
+router.post('/', authorize('admin'), async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.create(pickEditableFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/sla-policies/:id
+// @desc    Update an SLA policy (existing tickets keep their snapshot)
+// @access  Private (admin)
+router.patch('/:id', authorize('admin'), async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        error: {
+          code: 'SLA_POLICY_NOT_FOUND',
+          message: 'SLA policy not found'
+        }
+      });
+    }
+
+    Object.assign(policy, pickEditableFields(req.body));
+    await policy.save();
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/sla-policies/:id
+// @desc    Delete an SLA policy (existing tickets keep their snapshot)
+// @access  Private (admin)
+router.delete('/:id', authorize('admin'), async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        error: {
+          code: 'SLA_POLICY_NOT_FOUND',
+          message: 'SLA policy not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'SLA policy deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
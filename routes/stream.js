@@ -0,0 +1,90 @@
+import express from 'express';
+import Ticket from '../models/Ticket.js';
+import { authenticateStream } from '../middleware/auth.js';
+import { canViewTicket } from '../services/ticketAccess.js';
+import { buildTicketFilter } from '../services/ticketFilters.js';
+import { subscribe } from '../services/realtime.js';
+
+const router = express.Router();
+
+// Token from the Authorization header or ?access_token= (EventSource)
+router.use(authenticateStream);
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Switch the response to a Server-Sent Events stream fed by the realtime service
+const openStream = async (req, res, subscription) => {
+  const send = (event, data) => {
+    res.write(`event: ${event}\nid: ${data.timeline._id}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Subscribe before switching to streaming so errors still get a JSON response
+  const unsubscribe = await subscribe({ user: req.user, send, ...subscription });
+  if (req.socket.destroyed) {
+    unsubscribe();
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+// @route   GET /api/stream/tickets
+// @desc    Stream changes to tickets in the user's (filtered) queue; accepts the GET /api/tickets filters
+// @access  Private
+router.get('/tickets', async (req, res, next) => {
+  try {
+    const { status, priority, assignedTo, createdBy, team, queue, breached, watching } = req.query;
+    const filter = await buildTicketFilter(req.user, {
+      status,
+      priority,
+      assignedTo,
+      createdBy,
+      team,
+      queue,
+      breached,
+      watching
+    });
+
+    await openStream(req, res, { filter });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/stream/tickets/:id
+// @desc    Stream ticket, comment and timeline changes of a single ticket
+// @access  Private
+router.get('/tickets/:id', async (req, res, next) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id).select('createdBy watchers');
+
+    if (!ticket || !canViewTicket(req.user, ticket)) {
+      return res.status(404).json({
+        error: {
+          code: 'TICKET_NOT_FOUND',
+          message: 'Ticket not found'
+        }
+      });
+    }
+
+    await openStream(req, res, { ticketId: ticket._id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
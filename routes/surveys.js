@@ -0,0 +1,99 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Ticket from '../models/Ticket.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { SURVEY_GROUPINGS, findSurveyByToken, getCSATStats, submitSurvey } from '../services/surveys.js';
+
+const router = express.Router();
+
+// @route   GET /api/surveys/respond/:token
+// @desc    Show the survey behind a signed link
+// @access  Public (signed link)
+router.get('/respond/:token', async (req, res, next) => {
+  try {
+    const survey = await findSurveyByToken(req.params.token);
+    const ticket = await Ticket.findById(survey.ticket).select('title');
+
+    res.json({
+      success: true,
+      survey: {
+        _id: survey._id,
+        status: survey.status,
+        ticket: ticket ? { _id: ticket._id, title: ticket.title } : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/surveys/respond/:token
+// @desc    Submit a survey through its signed one-time link
+// @access  Public (signed link)
+router.post('/respond/:token', async (req, res, next) => {
+  try {
+    const { rating, comment } = req.body;
+
+    const survey = await findSurveyByToken(req.params.token);
+    await submitSurvey(survey, { rating, comment }, 'link');
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you for your feedback'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/surveys/stats
+// @desc    Aggregated CSAT, optionally grouped by agent, category, day or month
+// @access  Private (agents/admins)
+router.get('/stats', authenticate, authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const { groupBy, from, to, agent, category } = req.query;
+
+    if (groupBy && !SURVEY_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_GROUP_BY',
+          field: 'groupBy',
+          message: `groupBy must be one of: ${SURVEY_GROUPINGS.join(', ')}`
+        }
+      });
+    }
+
+    if (agent && !mongoose.isValidObjectId(agent)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_AGENT',
+          field: 'agent',
+          message: 'agent must be a valid user ID'
+        }
+      });
+    }
+
+    for (const [field, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_DATE',
+            field,
+            message: `${field} must be a valid date`
+          }
+        });
+      }
+    }
+
+    const stats = await getCSATStats({ groupBy, from, to, agent, category });
+
+    res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,186 @@
+import express from 'express';
+import Team from '../models/Team.js';
+import Ticket from '../models/Ticket.js';
+import User from '../models/User.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+const editableFields = ['name', 'description', 'members', 'leads', 'categories', 'isActive'];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  editableFields.forEach(key => {
+    if (body[key] !== undefined) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+// Members and leads must be agents or admins
+const findInvalidMember = async (team) => {
+  const ids = [...team.members, ...team.leads];
+  if (ids.length === 0) return null;
+
+  const staff = await User.find({ _id: { $in: ids }, role: { $in: ['agent', 'admin'] } }).select('_id');
+  return ids.find(id => !staff.some(user => user._id.equals(id))) || null;
+};
+
+const populateTeam = (query) => query
+  .populate('members', 'name email role')
+  .populate('leads', 'name email role');
+
+// @route   GET /api/teams
+// @desc    List teams
+// @access  Private (agents/admins)
+router.get('/', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const teams = await populateTeam(Team.find({}).sort({ name: 1 }));
+
+    res.json({
+      success: true,
+      teams
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/teams/mine
+// @desc    Teams the current agent belongs to
+// @access  Private (agents/admins)
+router.get('/mine', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const teams = await populateTeam(Team.findForUser(req.user._id).sort({ name: 1 }));
+
+    res.json({
+      success: true,
+      teams
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/teams/:id
+// @desc    Get a single team
+// @access  Private (agents/admins)
+router.get('/:id', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const team = await populateTeam(Team.findById(req.params.id));
+
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          code: 'TEAM_NOT_FOUND',
+          message: 'Team not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      team
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/teams
+// @desc    Create a team
+// @access  Private (admin)
+router.post('/', authorize('admin'), async (req, res, next) => {
+  try {
+    const team = new Team(pickEditableFields(req.body));
+
+    if (await findInvalidMember(team)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_MEMBER',
+          message: 'Team members and leads must be agents or admins'
+        }
+      });
+    }
+
+    await team.save();
+
+    res.status(201).json({
+      success: true,
+      team
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/teams/:id
+// @desc    Update a team (members, leads, routed categories, ...)
+// @access  Private (admin)
+router.patch('/:id', authorize('admin'), async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          code: 'TEAM_NOT_FOUND',
+          message: 'Team not found'
+        }
+      });
+    }
+
+    Object.assign(team, pickEditableFields(req.body));
+
+    if (await findInvalidMember(team)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_MEMBER',
+          message: 'Team members and leads must be agents or admins'
+        }
+      });
+    }
+
+    await team.save();
+
+    res.json({
+      success: true,
+      team
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/teams/:id
+// @desc    Delete a team and remove its tickets from the queue
+// @access  Private (admin)
+router.delete('/:id', authorize('admin'), async (req, res, next) => {
+  try {
+    const team = await Team.findByIdAndDelete(req.params.id);
+
+    if (!team) {
+      return res.status(404).json({
+        error: {
+          code: 'TEAM_NOT_FOUND',
+          message: 'Team not found'
+        }
+      });
+    }
+
+    const result = await Ticket.updateMany({ team: team._id }, { $unset: { team: 1 } });
+
+    res.json({
+      success: true,
+      message: `Team deleted, ${result.modifiedCount} tickets removed from its queue`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
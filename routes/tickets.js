@@ -1,30 +1,60 @@
 import express from 'express';
-import Ticket from '../models/Ticket.js';
+import Ticket, { TICKET_SORT_FIELDS } from '../models/Ticket.js';
 import Comment from '../models/Comment.js';
 import Timeline from '../models/Timeline.js';
 import User from '../models/User.js';
+import Team from '../models/Team.js';
+import Survey from '../models/Survey.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { uploadAttachments } from '../middleware/upload.js';
+import { createTimelineEntry } from '../services/timeline.js';
+import { canLeadAssign } from '../services/teams.js';
+import { canViewTicket, isRequester, isWatcher } from '../services/ticketAccess.js';
+import { applyTicketSearch, buildTicketFilter } from '../services/ticketFilters.js';
+import { findAccessibleView, resolveViewOptions } from '../services/savedViews.js';
+import { findSearchMatches, rankTickets, searchTextPatterns } from '../services/ticketSearch.js';
+import { removeAttachments, storeAttachments } from '../services/attachments.js';
+import { getStorage } from '../services/storage/index.js';
+import { findCursorPage } from '../utils/cursorPagination.js';
+import { parsePagination } from '../utils/pagination.js';
+import { getSetting } from '../services/settings.js';
+import { STATUSES, assertCanReopen, assertTransition } from '../services/workflow.js';
+import { getAgentCSAT, getSurveyLink, issueSurveyIfResolved, submitSurvey } from '../services/surveys.js';
+import {
+  getVisibilityPolicy,
+  presentComment,
+  presentTicket,
+  presentTicketActivity,
+  visibleCommentsQuery
+} from '../services/visibility.js';
+import {
+  PRIORITIES,
+  addComment,
+  addWatcher,
+  applyPriorityChange,
+  assignTicket,
+  changeTicketPriority,
+  changeTicketStatus,
+  createTicket,
+  deleteComment,
+  editComment,
+  describeDeadlineChange,
+  recordRecomputedBreaches,
+  recordReopen,
+  notifyTicketChanges,
+  recordSLAClockEvent,
+  removeWatcher
+} from '../services/ticketActions.js';
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticate);
 
-// Helper function to create timeline entry
-const createTimelineEntry = async (ticketId, userId, action, description, details = {}) => {
-  await Timeline.create({
-    ticket: ticketId,
-    user: userId,
-    action,
-    description,
-    details
-  });
-};
-
 // @route   POST /api/tickets
-// @desc    Create a new ticket
+// @desc    Create a new ticket (JSON, or multipart with "attachments" files)
 // @access  Private
-router.post('/', async (req, res, next) => {
+router.post('/', uploadAttachments, async (req, res, next) => {
   try {
     const { title, description, priority, category } = req.body;
 
@@ -49,28 +79,18 @@ router.post('/', async (req, res, next) => {
       });
     }
 
-    const ticket = await Ticket.create({
-      title,
-      description,
-      priority: priority || 'medium',
-      category: category || 'general',
-      createdBy: req.user._id
-    });
-
-    // Create timeline entry
-    await createTimelineEntry(
-      ticket._id,
-      req.user._id,
-      'created',
-      `Ticket created by ${req.user.name}`
-    );
+    const attachments = await storeAttachments(req.files);
+    const ticket = await createTicket({ title, description, priority, category, attachments }, req.user);
 
     // Populate the response
     await ticket.populate('createdBy', 'name email role');
+    await ticket.populate('assignedTo', 'name email role');
+
+    const policy = await getVisibilityPolicy(req.user);
 
     res.status(201).json({
       success: true,
-      ticket
+      ticket: presentTicket(ticket, policy)
     });
   } catch (error) {
     next(error);
@@ -78,110 +98,150 @@ router.post('/', async (req, res, next) => {
 });
 
 // @route   GET /api/tickets
-// @desc    Get tickets with filtering, searching, and pagination
+// @desc    Get tickets with filtering, searching, and pagination (?view= applies a saved view;
+//          ?paginate=cursor or ?cursor= switches from offset to cursor pagination).
+//          Free-text searches also match comments and return a highlighted `match` per ticket
 // @access  Private
 router.get('/', async (req, res, next) => {
   try {
+    // A saved view supplies defaults; explicit query parameters override them
+    const view = req.query.view ? await findAccessibleView(req.user, req.query.view) : null;
+    const options = view ? resolveViewOptions(view, req.query) : req.query;
+
+    const { cursor, paginate, includeTotal } = req.query;
+    const { limit, offset } = parsePagination(req.query, 20);
     const {
-      limit = 20,
-      offset = 0,
       status,
       priority,
       assignedTo,
       createdBy,
+      team,
+      queue,
       search,
       breached,
-      sortBy = 'createdAt',
+      mentioned,
+      watching,
       sortOrder = 'desc'
-    } = req.query;
+    } = options;
 
     // Build query
-    let query = {};
-
-    // Role-based filtering
-    if (req.user.role === 'user') {
-      query.createdBy = req.user._id;
-    }
-
-    // Status filter
-    if (status) {
-      query.status = status;
-    }
-
-    // Priority filter
-    if (priority) {
-      query.priority = priority;
-    }
-
-    // Assignment filter
-    if (assignedTo) {
-      query.assignedTo = assignedTo;
-    }
-
-    // Created by filter (for agents/admins)
-    if (createdBy && req.user.role !== 'user') {
-      query.createdBy = createdBy;
-    }
-
-    // SLA Breached filter (for agents/admins)
-    if (breached === 'true' && req.user.role !== 'user') {
-      query.$or = [
-        { 'sla.responseBreached': true },
-        { 'sla.resolutionBreached': true }
-      ];
-    }
+    const query = await buildTicketFilter(req.user, {
+      status,
+      priority,
+      assignedTo,
+      createdBy,
+      team,
+      queue,
+      breached,
+      mentioned,
+      watching
+    });
 
     // Search functionality
-    if (search) {
-      // First try text search
-      const textSearchResults = await Ticket.find({
-        ...query,
-        $text: { $search: search }
-      }).select('_id');
-
-      if (textSearchResults.length > 0) {
-        query._id = { $in: textSearchResults.map(t => t._id) };
-      } else {
-        // Fallback to regex search
-        query.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } }
-        ];
-      }
-    }
-
-    // Count total for pagination
-    const total = await Ticket.countDocuments(query);
+    await applyTicketSearch(query, search, req.user);
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Free-text searches rank by relevance unless another sort is asked for
+    // (cursor pagination needs a stored sort field)
+    const cursorMode = Boolean(cursor) || paginate === 'cursor';
+    const textPatterns = searchTextPatterns(search, req.user);
+    const sortBy = options.sortBy || (textPatterns.length && !cursorMode ? 'relevance' : 'createdAt');
 
-    // Execute query
-    const tickets = await Ticket.find(query)
+    const populateList = (ticketsQuery) => ticketsQuery
       .populate('createdBy', 'name email role')
       .populate('assignedTo', 'name email role')
-      .sort(sort)
-      .skip(parseInt(offset))
-      .limit(parseInt(limit))
-      .exec();
+      .populate('watchers', 'name email role')
+      .populate('team', 'name');
+    const ticketsQuery = populateList(Ticket.find(query));
+
+    let tickets;
+    let pagination;
+    let matches;
+    let rankScores = null;
+
+    if (cursorMode) {
+      // Keyset pagination; the total is an extra count, so only on request
+      if (!TICKET_SORT_FIELDS.includes(sortBy)) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_SORT',
+            field: 'sortBy',
+            message: `Cursor pagination can sort by: ${TICKET_SORT_FIELDS.join(', ')}`
+          }
+        });
+      }
+
+      const page = await findCursorPage(ticketsQuery, { sortBy, sortOrder, limit, cursor });
+      tickets = page.items;
+      pagination = {
+        ...(includeTotal === 'true' ? { total: await Ticket.countDocuments(query) } : {}),
+        limit,
+        next_cursor: page.nextCursor,
+        prev_cursor: page.prevCursor
+      };
+    } else if (sortBy === 'relevance' && textPatterns.length) {
+      // Ranked by text score over the newest matches; the total is the number
+      // of ranked tickets, with `truncated` set when older matches were left out
+      const ranked = await rankTickets(query, search, req.user);
+      const pageIds = ranked.ids.slice(offset, offset + limit);
+      const pageTickets = await populateList(Ticket.find({ _id: { $in: pageIds } }));
+
+      tickets = pageIds
+        .map(id => pageTickets.find(ticket => ticket._id.equals(id)))
+        .filter(Boolean);
+      rankScores = ranked.scores;
+
+      const nextOffset = offset + limit;
+      pagination = {
+        total: ranked.ids.length,
+        truncated: ranked.truncated,
+        limit,
+        offset,
+        next_offset: nextOffset < ranked.ids.length ? nextOffset : null
+      };
+    } else {
+      // Count total for pagination
+      const total = await Ticket.countDocuments(query);
+
+      // Build sort object
+      const sort = {};
+      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+      tickets = await ticketsQuery
+        .sort(sort)
+        .skip(offset)
+        .limit(limit)
+        .exec();
+
+      const nextOffset = offset + limit;
+      pagination = {
+        total,
+        limit,
+        offset,
+        next_offset: nextOffset < total ? nextOffset : null
+      };
+    }
 
     // Check for SLA breaches
     tickets.forEach(ticket => {
       ticket.checkSLABreaches();
     });
 
-    const nextOffset = parseInt(offset) + parseInt(limit);
+    // Where each ticket matched the search, with a highlight snippet
+    if (textPatterns.length) {
+      matches = await findSearchMatches(tickets, textPatterns, req.user, rankScores);
+    }
+
+    const policy = await getVisibilityPolicy(req.user);
     
     res.json({
       success: true,
-      tickets,
-      pagination: {
-        total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        next_offset: nextOffset < total ? nextOffset : null
-      }
+      tickets: tickets.map(ticket => {
+        const data = presentTicket(ticket, policy);
+        const found = matches?.get(ticket._id.toString());
+        return found ? { ...data, match: { score: found.score, ...found.match } } : data;
+      }),
+      ...(view ? { view: { _id: view._id, name: view.name, columns: view.columns } } : {}),
+      pagination
     });
   } catch (error) {
     next(error);
@@ -234,12 +294,10 @@ router.get('/agent/dashboard', authorize('agent', 'admin'), async (req, res, nex
       inProgress,
       breached,
       pendingResponse,
-      resolvedToday
+      resolvedToday,
+      csat
     ] = await Promise.all([
-      Ticket.countDocuments({ 
-        assignedTo: agentId, 
-        status: { $nin: ['closed', 'resolved'] } 
-      }),
+      Ticket.countDocuments(Ticket.openWorkloadQuery(agentId)),
       Ticket.countDocuments({ 
         assignedTo: agentId, 
         status: 'in_progress' 
@@ -247,16 +305,8 @@ router.get('/agent/dashboard', authorize('agent', 'admin'), async (req, res, nex
       Ticket.countDocuments({ 
         assignedTo: agentId,
         status: { $nin: ['closed', 'resolved'] },
-        $or: [
-          { 
-            firstResponseAt: null,
-            'sla.responseDeadline': { $lt: now }
-          },
-          { 
-            resolvedAt: null,
-            'sla.resolutionDeadline': { $lt: now }
-          }
-        ]
+        // Deadlines are stored in business time, so this matches the ticket virtuals
+        $or: Ticket.slaBreachConditions(now)
       }),
       Ticket.countDocuments({ 
         assignedTo: agentId, 
@@ -269,7 +319,9 @@ router.get('/agent/dashboard', authorize('agent', 'admin'), async (req, res, nex
         resolvedAt: {
           $gte: new Date(new Date().setHours(0, 0, 0, 0))
         }
-      })
+      }),
+      // Satisfaction over the last 30 days
+      getAgentCSAT(agentId, new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000))
     ]);
 
     console.log('Agent Dashboard Stats:', {
@@ -288,8 +340,110 @@ router.get('/agent/dashboard', authorize('agent', 'admin'), async (req, res, nex
         inProgress,
         breached,
         pendingResponse,
-        resolvedToday
+        resolvedToday,
+        csat
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bulk routes come before the /:id routes, which would otherwise match them
+// @route   POST /api/tickets/bulk/assign
+// @desc    Bulk assign tickets (admins only)
+// @access  Private (admin only)
+router.post('/bulk/assign', authorize('admin'), async (req, res, next) => {
+  try {
+    const { ticketIds, assignedTo } = req.body;
+
+    if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'ticketIds must be a non-empty array'
+        }
+      });
+    }
+
+    // Verify assignee exists and is agent/admin
+    if (assignedTo) {
+      const assignee = await User.findById(assignedTo);
+      if (!assignee || !['agent', 'admin'].includes(assignee.role)) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_ASSIGNEE',
+            message: 'Can only assign to agents or admins'
+          }
+        });
       }
+    }
+
+    // Tickets are assigned one by one so that each change is logged and notified
+    const tickets = await Ticket.find({ _id: { $in: ticketIds } });
+    let modifiedCount = 0;
+
+    for (const ticket of tickets) {
+      const unchanged = assignedTo
+        ? ticket.assignedTo?.equals(assignedTo)
+        : !ticket.assignedTo;
+      if (unchanged) continue;
+
+      await assignTicket(ticket, assignedTo || null, req.user, { reason: 'bulk operation' });
+      modifiedCount++;
+    }
+
+    res.json({
+      success: true,
+      message: `${modifiedCount} tickets updated`,
+      modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tickets/bulk/priority
+// @desc    Bulk change ticket priority, recomputing SLA deadlines (admins only)
+// @access  Private (admin only)
+router.post('/bulk/priority', authorize('admin'), async (req, res, next) => {
+  try {
+    const { ticketIds, priority } = req.body;
+
+    if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'ticketIds must be a non-empty array'
+        }
+      });
+    }
+
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_PRIORITY',
+          field: 'priority',
+          message: 'Invalid priority value'
+        }
+      });
+    }
+
+    // Tickets are saved one by one so that each gets its SLA recomputed
+    const tickets = await Ticket.find({ _id: { $in: ticketIds } });
+    let modifiedCount = 0;
+
+    for (const ticket of tickets) {
+      if (ticket.priority === priority) continue;
+
+      await changeTicketPriority(ticket, priority, req.user, { reason: 'bulk operation' });
+      modifiedCount++;
+    }
+
+    res.json({
+      success: true,
+      message: `${modifiedCount} tickets updated`,
+      modifiedCount
     });
   } catch (error) {
     next(error);
@@ -303,7 +457,9 @@ router.get('/:id', async (req, res, next) => {
   try {
     const ticket = await Ticket.findById(req.params.id)
       .populate('createdBy', 'name email role')
-      .populate('assignedTo', 'name email role');
+      .populate('assignedTo', 'name email role')
+      .populate('watchers', 'name email role')
+      .populate('team', 'name');
 
     if (!ticket) {
       return res.status(404).json({
@@ -315,7 +471,7 @@ router.get('/:id', async (req, res, next) => {
     }
 
     // Check permissions - users can only see their own tickets
-    if (req.user.role === 'user' && !ticket.createdBy._id.equals(req.user._id)) {
+    if (!canViewTicket(req.user, ticket)) {
       return res.status(403).json({
         error: {
           code: 'FORBIDDEN',
@@ -324,8 +480,8 @@ router.get('/:id', async (req, res, next) => {
       });
     }
 
-    // Get comments
-    const comments = await Comment.find({ ticket: ticket._id })
+    // Get comments (internal notes are never loaded for requesters)
+    const comments = await Comment.find({ ticket: ticket._id, ...visibleCommentsQuery(req.user) })
       .populate('author', 'name email role')
       .sort({ createdAt: 1 });
 
@@ -337,11 +493,10 @@ router.get('/:id', async (req, res, next) => {
     // Check SLA breaches
     ticket.checkSLABreaches();
 
+    // Filter activity by the viewer's role
     res.json({
       success: true,
-      ticket,
-      comments,
-      timeline
+      ...(await presentTicketActivity({ ticket, comments, timeline }, req.user))
     });
   } catch (error) {
     next(error);
@@ -391,7 +546,7 @@ router.patch('/:id', async (req, res, next) => {
 
     // Define allowed fields based on role
     const allowedFields = isAgentOrAdmin 
-      ? ['status', 'priority', 'assignedTo', 'title', 'description', 'category', 'tags']
+      ? ['status', 'priority', 'assignedTo', 'team', 'title', 'description', 'category', 'tags']
       : ['title', 'description']; // Users can only edit basic fields
 
     // Filter updates to only allowed fields
@@ -402,6 +557,34 @@ router.patch('/:id', async (req, res, next) => {
       }
     });
 
+    // Verify the team exists
+    if (filteredUpdates.team) {
+      const newTeam = await Team.findById(filteredUpdates.team);
+      if (!newTeam || !newTeam.isActive) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_TEAM',
+            field: 'team',
+            message: 'Team not found'
+          }
+        });
+      }
+    }
+
+    // Status changes follow the configured workflow
+    if (filteredUpdates.status !== undefined) {
+      if (!STATUSES.includes(filteredUpdates.status)) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_STATUS',
+            field: 'status',
+            message: 'Invalid status value'
+          }
+        });
+      }
+      await assertTransition(req.user, ticket.status, filteredUpdates.status);
+    }
+
     // Track changes for timeline
     const changes = [];
     Object.keys(filteredUpdates).forEach(key => {
@@ -415,24 +598,41 @@ router.patch('/:id', async (req, res, next) => {
     });
 
     // Update ticket
-    Object.assign(ticket, filteredUpdates);
+    const { priority: newPriority, ...otherUpdates } = filteredUpdates;
+    Object.assign(ticket, otherUpdates);
+
+    // Priority changes recompute the SLA deadlines
+    const priorityChange = changes.find(change => change.field === 'priority');
+    const slaChange = priorityChange ? await applyPriorityChange(ticket, newPriority) : null;
+
     await ticket.save();
+    const statusChange = changes.find(change => change.field === 'status');
+    const reopened = statusChange
+      ? await recordReopen(ticket, req.user, statusChange.oldValue)
+      : false;
+    await recordSLAClockEvent(ticket, req.user._id);
 
     // Create timeline entries for changes
     for (const change of changes) {
+      if (change.field === 'status' && reopened) continue;
       let description = '';
       switch (change.field) {
         case 'status':
           description = `Status changed from ${change.oldValue} to ${change.newValue}`;
           break;
         case 'priority':
-          description = `Priority changed from ${change.oldValue} to ${change.newValue}`;
+          description = `Priority changed from ${change.oldValue} to ${change.newValue} (${describeDeadlineChange(slaChange)})`;
           break;
         case 'assignedTo':
           const oldUser = change.oldValue ? await User.findById(change.oldValue) : null;
           const newUser = change.newValue ? await User.findById(change.newValue) : null;
           description = `Assignment changed from ${oldUser?.name || 'unassigned'} to ${newUser?.name || 'unassigned'}`;
           break;
+        case 'team':
+          const oldTeam = change.oldValue ? await Team.findById(change.oldValue) : null;
+          const newTeam = change.newValue ? await Team.findById(change.newValue) : null;
+          description = `Team changed from ${oldTeam?.name || 'none'} to ${newTeam?.name || 'none'}`;
+          break;
         default:
           description = `${change.field.charAt(0).toUpperCase() + change.field.slice(1)} updated`;
       }
@@ -442,17 +642,30 @@ router.patch('/:id', async (req, res, next) => {
         req.user._id,
         'updated',
         description,
-        { field: change.field, oldValue: change.oldValue, newValue: change.newValue }
+        {
+          field: change.field,
+          oldValue: change.oldValue,
+          newValue: change.newValue,
+          ...(change.field === 'priority' ? { sla: slaChange } : {})
+        }
       );
     }
 
+    if (slaChange) {
+      await recordRecomputedBreaches(ticket, slaChange);
+    }
+    await issueSurveyIfResolved(ticket);
+    await notifyTicketChanges(ticket, req.user, changes);
+
     // Populate response
     await ticket.populate('createdBy', 'name email role');
     await ticket.populate('assignedTo', 'name email role');
 
+    const policy = await getVisibilityPolicy(req.user);
+
     res.json({
       success: true,
-      ticket
+      ticket: presentTicket(ticket, policy)
     });
   } catch (error) {
     next(error);
@@ -460,9 +673,9 @@ router.patch('/:id', async (req, res, next) => {
 });
 
 // @route   POST /api/tickets/:id/comments
-// @desc    Add a comment to a ticket
+// @desc    Add a comment to a ticket (JSON, or multipart with "attachments" files)
 // @access  Private
-router.post('/:id/comments', async (req, res, next) => {
+router.post('/:id/comments', uploadAttachments, async (req, res, next) => {
   try {
     const { content, type = 'comment' } = req.body;
 
@@ -487,11 +700,8 @@ router.post('/:id/comments', async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    const isOwner = ticket.createdBy.equals(req.user._id);
-    const isAgentOrAdmin = ['agent', 'admin'].includes(req.user.role);
-
-    if (!isOwner && !isAgentOrAdmin) {
+    // Check permissions (requesters, watchers and staff may comment)
+    if (!canViewTicket(req.user, ticket)) {
       return res.status(403).json({
         error: {
           code: 'FORBIDDEN',
@@ -510,158 +720,158 @@ router.post('/:id/comments', async (req, res, next) => {
       });
     }
 
-    // Check if this is the first response
-    const existingComments = await Comment.countDocuments({ 
-      ticket: ticket._id,
-      type: 'comment'
-    });
-    const isFirstResponse = existingComments === 0 && type === 'comment';
-
-    const comment = await Comment.create({
-      ticket: ticket._id,
-      author: req.user._id,
-      content,
-      type,
-      isFirstResponse
-    });
+    const attachments = await storeAttachments(req.files);
 
-    // Update ticket's first response timestamp
-    if (isFirstResponse) {
-      ticket.firstResponseAt = new Date();
-      await ticket.save();
+    let comment;
+    try {
+      comment = await addComment(ticket, { content, type, attachments }, req.user);
+    } catch (error) {
+      await removeAttachments(attachments);
+      throw error;
     }
 
-    // Create timeline entry
-    await createTimelineEntry(
-      ticket._id,
-      req.user._id,
-      'commented',
-      `${type === 'internal_note' ? 'Internal note' : 'Comment'} added by ${req.user.name}`
-    );
-
     // Populate response
     await comment.populate('author', 'name email role');
 
+    const policy = await getVisibilityPolicy(req.user);
+
     res.status(201).json({
       success: true,
-      comment
+      comment: presentComment(comment, policy)
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   GET /api/tickets/sla/breached
-// @desc    Get tickets with SLA breaches
-// @access  Private (agents/admins only)
-router.get('/sla/breached', authorize('agent', 'admin'), async (req, res, next) => {
-  try {
-    const tickets = await Ticket.find({
-      $or: [
-        { 'sla.isResponseBreached': true },
-        { 'sla.isResolutionBreached': true }
-      ]
-    })
-    .populate('createdBy', 'name email role')
-    .populate('assignedTo', 'name email role')
-    .sort({ 'sla.resolutionDeadline': 1 });
+// Load a comment for PATCH/DELETE and check that the user may change it:
+// admins at any time, authors within the configured edit window.
+// Returns { ticket, comment } or sends the error response and returns null.
+const loadCommentForChange = async (req, res) => {
+  const ticket = await Ticket.findById(req.params.id);
+
+  if (!ticket) {
+    res.status(404).json({
+      error: {
+        code: 'TICKET_NOT_FOUND',
+        message: 'Ticket not found'
+      }
+    });
+    return null;
+  }
 
-    res.json({
-      success: true,
-      tickets
+  const comment = await Comment.findOne({ _id: req.params.commentId, ticket: ticket._id });
+
+  if (!comment || !canViewTicket(req.user, ticket) ||
+      (comment.type === 'internal_note' && req.user.role === 'user')) {
+    res.status(404).json({
+      error: {
+        code: 'COMMENT_NOT_FOUND',
+        message: 'Comment not found'
+      }
     });
-  } catch (error) {
-    next(error);
+    return null;
   }
-});
 
-// @route   POST /api/tickets/:id/assign
-// @desc    Assign ticket to agent (agents can self-assign, admins can assign to anyone)
-// @access  Private (agents/admins only)
-router.post('/:id/assign', authorize('agent', 'admin'), async (req, res, next) => {
-  try {
-    const { assignedTo } = req.body;
-    const ticket = await Ticket.findById(req.params.id);
-    
-    if (!ticket) {
-      return res.status(404).json({
+  if (comment.isDeleted) {
+    res.status(409).json({
+      error: {
+        code: 'COMMENT_DELETED',
+        message: 'Comment has been deleted'
+      }
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin') {
+    if (!comment.author.equals(req.user._id)) {
+      res.status(403).json({
         error: {
-          code: 'TICKET_NOT_FOUND',
-          message: 'Ticket not found'
+          code: 'FORBIDDEN',
+          message: 'Only the author or an admin can change this comment'
         }
       });
+      return null;
     }
 
-    // Agents can only assign to themselves, admins can assign to anyone
-    if (req.user.role === 'agent' && assignedTo && assignedTo !== req.user._id.toString()) {
-      return res.status(403).json({
+    const editWindowMinutes = await getSetting('comments.editWindowMinutes');
+    if (Date.now() - comment.createdAt.getTime() > editWindowMinutes * 60 * 1000) {
+      res.status(403).json({
         error: {
-          code: 'FORBIDDEN',
-          message: 'Agents can only assign tickets to themselves'
+          code: 'EDIT_WINDOW_EXPIRED',
+          message: `Comments can only be changed within ${editWindowMinutes} minutes of posting`
         }
       });
+      return null;
     }
+  }
 
-    // Verify assignee is an agent or admin
-    if (assignedTo) {
-      const assignee = await User.findById(assignedTo);
-      if (!assignee || !['agent', 'admin'].includes(assignee.role)) {
-        return res.status(400).json({
-          error: {
-            code: 'INVALID_ASSIGNEE',
-            message: 'Can only assign to agents or admins'
-          }
-        });
-      }
+  return { ticket, comment };
+};
+
+// @route   PATCH /api/tickets/:id/comments/:commentId
+// @desc    Edit a comment (author within the edit window, admins any time)
+// @access  Private
+router.patch('/:id/comments/:commentId', async (req, res, next) => {
+  try {
+    const { content } = req.body;
+
+    if (!content) {
+      return res.status(400).json({
+        error: {
+          code: 'FIELD_REQUIRED',
+          field: 'content',
+          message: 'Comment content is required'
+        }
+      });
     }
 
-    const oldAssignee = ticket.assignedTo;
-    ticket.assignedTo = assignedTo || null;
-    await ticket.save();
+    const loaded = await loadCommentForChange(req, res);
+    if (!loaded) return;
 
-    // Create timeline entry
-    const oldUser = oldAssignee ? await User.findById(oldAssignee) : null;
-    const newUser = assignedTo ? await User.findById(assignedTo) : null;
-    await createTimelineEntry(
-      ticket._id,
-      req.user._id,
-      'assigned',
-      `Ticket ${assignedTo ? 'assigned to' : 'unassigned from'} ${newUser?.name || oldUser?.name || 'agent'}`,
-      { oldAssignee: oldUser?.name, newAssignee: newUser?.name }
-    );
+    const comment = await editComment(loaded.ticket, loaded.comment, content, req.user);
+    await comment.populate('author', 'name email role');
 
-    await ticket.populate('createdBy', 'name email role');
-    await ticket.populate('assignedTo', 'name email role');
+    const policy = await getVisibilityPolicy(req.user);
 
     res.json({
       success: true,
-      ticket
+      comment: presentComment(comment, policy)
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   POST /api/tickets/:id/status
-// @desc    Change ticket status (agents/admins only)
-// @access  Private (agents/admins only)
-router.post('/:id/status', authorize('agent', 'admin'), async (req, res, next) => {
+// @route   DELETE /api/tickets/:id/comments/:commentId
+// @desc    Soft-delete a comment, leaving a tombstone (author within the edit window, admins any time)
+// @access  Private
+router.delete('/:id/comments/:commentId', async (req, res, next) => {
   try {
-    const { status } = req.body;
-    
-    const validStatuses = ['open', 'in_progress', 'pending', 'resolved', 'closed'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        error: {
-          code: 'INVALID_STATUS',
-          field: 'status',
-          message: 'Invalid status value'
-        }
-      });
-    }
+    const loaded = await loadCommentForChange(req, res);
+    if (!loaded) return;
+
+    const comment = await deleteComment(loaded.ticket, loaded.comment, req.user);
+    await comment.populate('author', 'name email role');
+
+    const policy = await getVisibilityPolicy(req.user);
+
+    res.json({
+      success: true,
+      comment: presentComment(comment, policy)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
+// @route   GET /api/tickets/:id/attachments/:attachmentId
+// @desc    Download a ticket or comment attachment
+// @access  Private (same access as the ticket; internal note files are staff only)
+router.get('/:id/attachments/:attachmentId', async (req, res, next) => {
+  try {
     const ticket = await Ticket.findById(req.params.id);
-    
+
     if (!ticket) {
       return res.status(404).json({
         error: {
@@ -671,18 +881,112 @@ router.post('/:id/status', authorize('agent', 'admin'), async (req, res, next) =
       });
     }
 
-    const oldStatus = ticket.status;
-    ticket.status = status;
-    await ticket.save();
+    if (!canViewTicket(req.user, ticket)) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access denied'
+        }
+      });
+    }
+
+    let attachment = ticket.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      const commentQuery = {
+        ticket: ticket._id,
+        isDeleted: { $ne: true },
+        'attachments._id': req.params.attachmentId
+      };
+      // Requesters never get files attached to internal notes
+      if (req.user.role === 'user') {
+        commentQuery.type = 'comment';
+      }
+
+      const comment = await Comment.findOne(commentQuery);
+      attachment = comment?.attachments.id(req.params.attachmentId);
+    }
+
+    const storage = getStorage();
+    if (!attachment || !(await storage.exists(attachment.path))) {
+      return res.status(404).json({
+        error: {
+          code: 'ATTACHMENT_NOT_FOUND',
+          message: 'Attachment not found'
+        }
+      });
+    }
+
+    res.set({
+      'Content-Type': attachment.mimetype || 'application/octet-stream',
+      'Content-Length': attachment.size,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.originalName || attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    storage.createReadStream(attachment.path)
+      .on('error', next)
+      .pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tickets/sla/breached
+// @desc    Get tickets with SLA breaches
+// @access  Private (agents/admins only)
+router.get('/sla/breached', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const tickets = await Ticket.find({
+      $or: [
+        { 'sla.isResponseBreached': true },
+        { 'sla.isResolutionBreached': true }
+      ]
+    })
+    .populate('createdBy', 'name email role')
+    .populate('assignedTo', 'name email role')
+    .sort({ 'sla.resolutionDeadline': 1 });
+
+    res.json({
+      success: true,
+      tickets
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tickets/:id/assign
+// @desc    Assign ticket to agent (agents can self-assign, team leads within their team, admins to anyone)
+// @access  Private (agents/admins only)
+router.post('/:id/assign', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const { assignedTo } = req.body;
+    const ticket = await Ticket.findById(req.params.id);
+    
+    if (!ticket) {
+      return res.status(404).json({
+        error: {
+          code: 'TICKET_NOT_FOUND',
+          message: 'Ticket not found'
+        }
+      });
+    }
 
-    // Create timeline entry
-    await createTimelineEntry(
-      ticket._id,
-      req.user._id,
-      'status_changed',
-      `Status changed from ${oldStatus} to ${status} by ${req.user.name}`,
-      { oldStatus, newStatus: status }
-    );
+    // Agents can only assign to themselves (or, as team leads, to members of
+    // the ticket's team), admins can assign to anyone
+    if (req.user.role === 'agent' && assignedTo && assignedTo !== req.user._id.toString()) {
+      if (!(await canLeadAssign(req.user._id, ticket.team, assignedTo))) {
+        return res.status(403).json({
+          error: {
+            code: 'FORBIDDEN',
+            message: 'Agents can only assign tickets to themselves or, as team leads, to members of the ticket\'s team'
+          }
+        });
+      }
+    }
+
+    await assignTicket(ticket, assignedTo, req.user);
 
     await ticket.populate('createdBy', 'name email role');
     await ticket.populate('assignedTo', 'name email role');
@@ -696,27 +1000,48 @@ router.post('/:id/status', authorize('agent', 'admin'), async (req, res, next) =
   }
 });
 
-// @route   POST /api/tickets/:id/priority
-// @desc    Change ticket priority (recomputes SLA) (agents/admins only)
+// @route   POST /api/tickets/:id/status
+// @desc    Change ticket status (agents/admins only)
 // @access  Private (agents/admins only)
-router.post('/:id/priority', authorize('agent', 'admin'), async (req, res, next) => {
+router.post('/:id/status', authorize('agent', 'admin'), async (req, res, next) => {
   try {
-    const { priority } = req.body;
+    const { status, reason } = req.body;
+
+    const ticket = await Ticket.findById(req.params.id);
     
-    const validPriorities = ['low', 'medium', 'high', 'urgent'];
-    if (!validPriorities.includes(priority)) {
-      return res.status(400).json({
+    if (!ticket) {
+      return res.status(404).json({
         error: {
-          code: 'INVALID_PRIORITY',
-          field: 'priority',
-          message: 'Invalid priority value'
+          code: 'TICKET_NOT_FOUND',
+          message: 'Ticket not found'
         }
       });
     }
 
+    await changeTicketStatus(ticket, status, req.user, { reason });
+
+    await ticket.populate('createdBy', 'name email role');
+    await ticket.populate('assignedTo', 'name email role');
+
+    res.json({
+      success: true,
+      ticket
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tickets/:id/reopen
+// @desc    Reopen a resolved or closed ticket (requesters: own resolved tickets within the reopen window)
+// @access  Private
+router.post('/:id/reopen', async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
     const ticket = await Ticket.findById(req.params.id);
-    
-    if (!ticket) {
+
+    if (!ticket || !canViewTicket(req.user, ticket)) {
       return res.status(404).json({
         error: {
           code: 'TICKET_NOT_FOUND',
@@ -725,86 +1050,329 @@ router.post('/:id/priority', authorize('agent', 'admin'), async (req, res, next)
       });
     }
 
-    const oldPriority = ticket.priority;
-    ticket.priority = priority;
-    // SLA will be recomputed automatically by the pre-save hook
-    await ticket.save();
+    // Watchers can follow the ticket but only the requester reopens it
+    if (req.user.role === 'user' && !isRequester(req.user, ticket)) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only the requester can reopen this ticket'
+        }
+      });
+    }
 
-    // Create timeline entry
-    await createTimelineEntry(
-      ticket._id,
-      req.user._id,
-      'priority_changed',
-      `Priority changed from ${oldPriority} to ${priority} by ${req.user.name} (SLA deadlines recomputed)`,
-      { oldPriority, newPriority: priority }
-    );
+    if (!['resolved', 'closed'].includes(ticket.status)) {
+      return res.status(409).json({
+        error: {
+          code: 'INVALID_TRANSITION',
+          field: 'status',
+          message: `Cannot reopen a ticket that is ${ticket.status}`
+        }
+      });
+    }
+
+    await assertCanReopen(req.user, ticket);
+    await changeTicketStatus(ticket, 'open', req.user, { reason, enforceWorkflow: false });
 
     await ticket.populate('createdBy', 'name email role');
     await ticket.populate('assignedTo', 'name email role');
 
+    const policy = await getVisibilityPolicy(req.user);
+
     res.json({
       success: true,
-      ticket
+      ticket: presentTicket(ticket, policy)
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   POST /api/tickets/bulk/assign
-// @desc    Bulk assign tickets (admins only)
-// @access  Private (admin only)
-router.post('/bulk/assign', authorize('admin'), async (req, res, next) => {
+// @route   GET /api/tickets/:id/watchers
+// @desc    List the ticket's watchers (customers only see other customers)
+// @access  Private
+router.get('/:id/watchers', async (req, res, next) => {
   try {
-    const { ticketIds, assignedTo } = req.body;
+    const ticket = await Ticket.findById(req.params.id).populate('watchers', 'name email role');
 
-    if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
+    if (!ticket || !canViewTicket(req.user, ticket)) {
+      return res.status(404).json({
+        error: {
+          code: 'TICKET_NOT_FOUND',
+          message: 'Ticket not found'
+        }
+      });
+    }
+
+    const policy = await getVisibilityPolicy(req.user);
+
+    res.json({
+      success: true,
+      watchers: presentTicket(ticket, policy).watchers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tickets/:id/watchers
+// @desc    Add a watcher by userId or email (requesters can add other customers)
+// @access  Private (agents/admins or the requester)
+router.post('/:id/watchers', async (req, res, next) => {
+  try {
+    const { userId, email } = req.body;
+
+    if (!userId && !email) {
       return res.status(400).json({
         error: {
-          code: 'INVALID_INPUT',
-          message: 'ticketIds must be a non-empty array'
+          code: 'FIELD_REQUIRED',
+          field: 'email',
+          message: 'A userId or email is required'
         }
       });
     }
 
-    // Verify assignee exists and is agent/admin
-    if (assignedTo) {
-      const assignee = await User.findById(assignedTo);
-      if (!assignee || !['agent', 'admin'].includes(assignee.role)) {
-        return res.status(400).json({
-          error: {
-            code: 'INVALID_ASSIGNEE',
-            message: 'Can only assign to agents or admins'
-          }
-        });
-      }
+    const ticket = await Ticket.findById(req.params.id);
+
+    if (!ticket || !canViewTicket(req.user, ticket)) {
+      return res.status(404).json({
+        error: {
+          code: 'TICKET_NOT_FOUND',
+          message: 'Ticket not found'
+        }
+      });
     }
 
-    // Update tickets
-    const result = await Ticket.updateMany(
-      { _id: { $in: ticketIds } },
-      { assignedTo: assignedTo || null }
-    );
-
-    // Create timeline entries
-    for (const ticketId of ticketIds) {
-      const ticket = await Ticket.findById(ticketId);
-      if (ticket) {
-        const newUser = assignedTo ? await User.findById(assignedTo) : null;
-        await createTimelineEntry(
-          ticketId,
-          req.user._id,
-          'assigned',
-          `Ticket ${assignedTo ? 'assigned to' : 'unassigned from'} ${newUser?.name || 'agent'} (bulk operation)`,
-          { newAssignee: newUser?.name }
-        );
-      }
+    const isStaff = ['agent', 'admin'].includes(req.user.role);
+
+    if (!isStaff && !isRequester(req.user, ticket)) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only the requester can add watchers'
+        }
+      });
+    }
+
+    // Requesters look people up by email and may only add customers
+    const watcher = await User.findOne({
+      ...(userId && isStaff ? { _id: userId } : { email: String(email || '').toLowerCase() }),
+      isActive: true,
+      isSystem: { $ne: true },
+      ...(isStaff ? {} : { role: 'user' })
+    });
+
+    if (!watcher) {
+      return res.status(404).json({
+        error: {
+          code: 'WATCHER_NOT_FOUND',
+          field: userId && isStaff ? 'userId' : 'email',
+          message: isStaff ? 'User not found' : 'No customer account found for this email'
+        }
+      });
+    }
+
+    if (isRequester(watcher, ticket)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_WATCHER',
+          message: 'The requester already follows the ticket'
+        }
+      });
+    }
+
+    const added = await addWatcher(ticket, watcher, req.user);
+
+    await ticket.populate('watchers', 'name email role');
+    const policy = await getVisibilityPolicy(req.user);
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      watchers: presentTicket(ticket, policy).watchers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tickets/:id/watchers/:userId
+// @desc    Remove a watcher (watchers can remove themselves)
+// @access  Private (agents/admins, the requester or the watcher)
+router.delete('/:id/watchers/:userId', async (req, res, next) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+
+    if (!ticket || !canViewTicket(req.user, ticket)) {
+      return res.status(404).json({
+        error: {
+          code: 'TICKET_NOT_FOUND',
+          message: 'Ticket not found'
+        }
+      });
+    }
+
+    const watcher = await User.findById(req.params.userId);
+
+    if (!watcher || !isWatcher(watcher, ticket)) {
+      return res.status(404).json({
+        error: {
+          code: 'WATCHER_NOT_FOUND',
+          message: 'Watcher not found'
+        }
+      });
+    }
+
+    const isStaff = ['agent', 'admin'].includes(req.user.role);
+    const isSelf = watcher._id.equals(req.user._id);
+
+    // Requesters manage their own side; staff watchers are left to staff
+    const mayRemove = isStaff || isSelf || (isRequester(req.user, ticket) && watcher.role === 'user');
+    if (!mayRemove) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access denied'
+        }
+      });
+    }
+
+    await removeWatcher(ticket, watcher, req.user);
+
+    await ticket.populate('watchers', 'name email role');
+    const policy = await getVisibilityPolicy(req.user);
+
+    res.json({
+      success: true,
+      watchers: presentTicket(ticket, policy).watchers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tickets/:id/survey
+// @desc    Get the ticket's satisfaction survey (staff also get the signed response link)
+// @access  Private
+router.get('/:id/survey', async (req, res, next) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+
+    if (!ticket || !canViewTicket(req.user, ticket)) {
+      return res.status(404).json({
+        error: {
+          code: 'TICKET_NOT_FOUND',
+          message: 'Ticket not found'
+        }
+      });
     }
 
+    const survey = await Survey.findOne({ ticket: ticket._id });
+
+    if (!survey) {
+      return res.status(404).json({
+        error: {
+          code: 'SURVEY_NOT_FOUND',
+          message: 'No survey has been issued for this ticket'
+        }
+      });
+    }
+
+    const isStaff = ['agent', 'admin'].includes(req.user.role);
+
     res.json({
       success: true,
-      message: `${result.modifiedCount} tickets updated`,
-      modifiedCount: result.modifiedCount
+      survey,
+      ...(isStaff && survey.status === 'pending' ? { link: await getSurveyLink(survey) } : {})
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tickets/:id/survey
+// @desc    Submit the satisfaction survey for a resolved ticket
+// @access  Private (ticket requester)
+router.post('/:id/survey', async (req, res, next) => {
+  try {
+    const { rating, comment } = req.body;
+
+    const ticket = await Ticket.findById(req.params.id);
+
+    if (!ticket || !canViewTicket(req.user, ticket)) {
+      return res.status(404).json({
+        error: {
+          code: 'TICKET_NOT_FOUND',
+          message: 'Ticket not found'
+        }
+      });
+    }
+
+    if (!ticket.createdBy.equals(req.user._id)) {
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only the requester can answer the survey'
+        }
+      });
+    }
+
+    const survey = await Survey.findOne({ ticket: ticket._id });
+
+    if (!survey) {
+      return res.status(404).json({
+        error: {
+          code: 'SURVEY_NOT_FOUND',
+          message: 'No survey has been issued for this ticket'
+        }
+      });
+    }
+
+    const completed = await submitSurvey(survey, { rating, comment }, 'app');
+
+    res.status(201).json({
+      success: true,
+      survey: completed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tickets/:id/priority
+// @desc    Change ticket priority (recomputes SLA) (agents/admins only)
+// @access  Private (agents/admins only)
+router.post('/:id/priority', authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const { priority } = req.body;
+    
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_PRIORITY',
+          field: 'priority',
+          message: 'Invalid priority value'
+        }
+      });
+    }
+
+    const ticket = await Ticket.findById(req.params.id);
+    
+    if (!ticket) {
+      return res.status(404).json({
+        error: {
+          code: 'TICKET_NOT_FOUND',
+          message: 'Ticket not found'
+        }
+      });
+    }
+
+    await changeTicketPriority(ticket, priority, req.user);
+
+    await ticket.populate('createdBy', 'name email role');
+    await ticket.populate('assignedTo', 'name email role');
+
+    res.json({
+      success: true,
+      ticket
     });
   } catch (error) {
     next(error);
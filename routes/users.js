@@ -1,6 +1,9 @@
 import express from 'express';
-import User from '../models/User.js';
+import User, { CUSTOMER_TIERS, USER_SORT_FIELDS } from '../models/User.js';
+import Team from '../models/Team.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { findCursorPage } from '../utils/cursorPagination.js';
+import { parsePagination } from '../utils/pagination.js';
 
 const router = express.Router();
 
@@ -8,11 +11,19 @@ const router = express.Router();
 router.use(authenticate);
 
 // @route   GET /api/users
-// @desc    Get all users (agents/admins only)
+// @desc    Get all users (agents/admins only; ?paginate=cursor or ?cursor= for cursor pagination)
 // @access  Private (agents/admins)
 router.get('/', authorize('agent', 'admin'), async (req, res, next) => {
   try {
-    const { role, limit = 50, offset = 0 } = req.query;
+    const {
+      role,
+      cursor,
+      paginate,
+      includeTotal,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+    const { limit, offset } = parsePagination(req.query, 50);
     
     let query = { isActive: true };
     
@@ -20,23 +31,51 @@ router.get('/', authorize('agent', 'admin'), async (req, res, next) => {
       query.role = role;
     }
 
+    if (cursor || paginate === 'cursor') {
+      if (!USER_SORT_FIELDS.includes(sortBy)) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_SORT',
+            field: 'sortBy',
+            message: `Cursor pagination can sort by: ${USER_SORT_FIELDS.join(', ')}`
+          }
+        });
+      }
+
+      const page = await findCursorPage(
+        User.find(query).select('name email role tier createdAt lastLoginAt'),
+        { sortBy, sortOrder, limit, cursor }
+      );
+
+      return res.json({
+        success: true,
+        users: page.items,
+        pagination: {
+          ...(includeTotal === 'true' ? { total: await User.countDocuments(query) } : {}),
+          limit,
+          next_cursor: page.nextCursor,
+          prev_cursor: page.prevCursor
+        }
+      });
+    }
+
     const total = await User.countDocuments(query);
     
     const users = await User.find(query)
-      .select('name email role createdAt lastLoginAt')
+      .select('name email role tier createdAt lastLoginAt')
       .sort({ createdAt: -1 })
-      .skip(parseInt(offset))
-      .limit(parseInt(limit));
+      .skip(offset)
+      .limit(limit);
 
-    const nextOffset = parseInt(offset) + parseInt(limit);
+    const nextOffset = offset + limit;
 
     res.json({
       success: true,
       users,
       pagination: {
         total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
+        limit,
+        offset,
         next_offset: nextOffset < total ? nextOffset : null
       }
     });
@@ -46,14 +85,32 @@ router.get('/', authorize('agent', 'admin'), async (req, res, next) => {
 });
 
 // @route   GET /api/users/agents
-// @desc    Get all agents for assignment
+// @desc    Get all agents for assignment (optionally only one team's members)
 // @access  Private (agents/admins)
 router.get('/agents', authorize('agent', 'admin'), async (req, res, next) => {
   try {
-    const agents = await User.find({ 
+    const { team } = req.query;
+
+    let query = { 
       role: { $in: ['agent', 'admin'] }, 
       isActive: true 
-    }).select('name email role');
+    };
+
+    // Only members (and leads) of a team
+    if (team) {
+      const teamDoc = await Team.findById(team);
+      if (!teamDoc) {
+        return res.status(404).json({
+          error: {
+            code: 'TEAM_NOT_FOUND',
+            message: 'Team not found'
+          }
+        });
+      }
+      query._id = { $in: [...teamDoc.members, ...teamDoc.leads] };
+    }
+
+    const agents = await User.find(query).select('name email role');
 
     res.json({
       success: true,
@@ -105,6 +162,47 @@ router.patch('/:id/role', authorize('admin'), async (req, res, next) => {
   }
 });
 
+// @route   PATCH /api/users/:id/tier
+// @desc    Update customer tier, used for SLA policy matching (admin only)
+// @access  Private (admin)
+router.patch('/:id/tier', authorize('admin'), async (req, res, next) => {
+  try {
+    const { tier } = req.body;
+
+    if (!tier || !CUSTOMER_TIERS.includes(tier)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_TIER',
+          field: 'tier',
+          message: `Tier must be one of: ${CUSTOMER_TIERS.join(', ')}`
+        }
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { tier },
+      { new: true, runValidators: true }
+    ).select('name email role tier');
+
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   PATCH /api/users/:id/status
 // @desc    Activate/deactivate user (admin only)
 // @access  Private (admin)
@@ -0,0 +1,222 @@
+import express from 'express';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { generateWebhookSecret, redeliver } from '../services/webhooks.js';
+import { WEBHOOK_EVENTS } from '../utils/webhookEvents.js';
+
+const router = express.Router();
+
+// Webhooks are admin-managed
+router.use(authenticate, authorize('admin'));
+
+const editableFields = ['name', 'description', 'url', 'events', 'isActive'];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  editableFields.forEach(key => {
+    if (body[key] !== undefined) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+const webhookNotFound = (res) => res.status(404).json({
+  error: {
+    code: 'WEBHOOK_NOT_FOUND',
+    message: 'Webhook not found'
+  }
+});
+
+// @route   GET /api/webhooks/events
+// @desc    List the event types webhooks can subscribe to
+// @access  Private (admin)
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    events: WEBHOOK_EVENTS
+  });
+});
+
+// @route   GET /api/webhooks
+// @desc    List webhooks
+// @access  Private (admin)
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find({}).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      webhooks
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/webhooks/:id
+// @desc    Get a single webhook
+// @access  Private (admin)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return webhookNotFound(res);
+
+    res.json({
+      success: true,
+      webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Create a webhook (the signing secret is only returned here and on rotation)
+// @access  Private (admin)
+router.post('/', async (req, res, next) => {
+  try {
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      ...pickEditableFields(req.body),
+      secret,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      webhook: { ...webhook.toJSON(), secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/webhooks/:id
+// @desc    Update a webhook
+// @access  Private (admin)
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return webhookNotFound(res);
+
+    Object.assign(webhook, pickEditableFields(req.body));
+    await webhook.save();
+
+    res.json({
+      success: true,
+      webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Replace the signing secret
+// @access  Private (admin)
+router.post('/:id/rotate-secret', async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return webhookNotFound(res);
+
+    const secret = generateWebhookSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({
+      success: true,
+      webhook: { ...webhook.toJSON(), secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook and its delivery log
+// @access  Private (admin)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return webhookNotFound(res);
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Delivery log of a webhook, newest first (filter with ?status= and ?event=)
+// @access  Private (admin)
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const { status, event, limit = 50, offset = 0 } = req.query;
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return webhookNotFound(res);
+
+    const query = { webhook: webhook._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit));
+
+    const nextOffset = parseInt(offset) + parseInt(limit);
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        next_offset: nextOffset < total ? nextOffset : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @desc    Queue a delivery again with the same payload
+// @access  Private (admin)
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.params.id });
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: {
+          code: 'DELIVERY_NOT_FOUND',
+          message: 'Delivery not found'
+        }
+      });
+    }
+
+    const copy = await redeliver(delivery);
+
+    res.status(202).json({
+      success: true,
+      delivery: copy
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
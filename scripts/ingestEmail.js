@@ -0,0 +1,50 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { loadCalendars } from '../services/calendars.js';
+import { ingestEmail } from '../services/inboundEmail.js';
+
+dotenv.config();
+
+// Usage: npm run ingest-email -- <message.eml>   (or pipe the message on stdin)
+// Suitable as a local delivery command, e.g. in /etc/aliases:
+//   support: "|cd /srv/helpdesk && npm run --silent ingest-email"
+const readMessage = async (file) => {
+  if (file) return fs.promises.readFile(file);
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const run = async () => {
+  const raw = await readMessage(process.argv[2]);
+  if (raw.length === 0) {
+    console.error('No message given (pass a file path or pipe the message on stdin)');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/helpdesk');
+    await loadCalendars();
+
+    const { status, inboundEmail, ticket, comment } = await ingestEmail(raw);
+    console.log(JSON.stringify({
+      status,
+      inboundEmail: inboundEmail._id,
+      ticket: ticket?._id,
+      comment: comment?._id
+    }));
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Email ingestion failed:', error.message);
+    await mongoose.disconnect();
+    // EX_NOUSER / EX_TEMPFAIL so the MTA bounces or retries
+    process.exit(error.code === 'UNKNOWN_SENDER' ? 67 : 75);
+  }
+};
+
+run();
@@ -5,6 +5,9 @@ import User from '../models/User.js';
 import Ticket from '../models/Ticket.js';
 import Comment from '../models/Comment.js';
 import Timeline from '../models/Timeline.js';
+import BusinessCalendar from '../models/BusinessCalendar.js';
+import Team from '../models/Team.js';
+import { loadCalendars } from '../services/calendars.js';
 
 dotenv.config();
 
@@ -19,8 +22,25 @@ const seedData = async () => {
     await Ticket.deleteMany({});
     await Comment.deleteMany({});
     await Timeline.deleteMany({});
+    await BusinessCalendar.deleteMany({});
+    await Team.deleteMany({});
     console.log('Cleared existing data');
 
+    // Create default business calendar (Mon-Fri, 09:00-17:00 UTC)
+    await BusinessCalendar.create({
+      name: 'Standard Business Hours',
+      timezone: 'UTC',
+      workingHours: [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' })),
+      holidays: [
+        { date: '2026-12-25', name: 'Christmas Day' },
+        { date: '2027-01-01', name: 'New Year\'s Day' }
+      ],
+      isDefault: true
+    });
+    await loadCalendars();
+
+    console.log('Created business calendar');
+
     // Create users
     const hashedPassword = await bcrypt.hash('password123', 12);
     
@@ -61,6 +81,24 @@ const seedData = async () => {
 
     const [admin, agent1, agent2, user1, user2] = users;
 
+    // Create teams (new tickets are routed to a queue by category)
+    await Team.create([
+      {
+        name: 'Technical Support',
+        members: [agent2._id],
+        leads: [agent1._id],
+        categories: ['technical', 'feature_request']
+      },
+      {
+        name: 'Billing',
+        members: [agent1._id],
+        leads: [agent2._id],
+        categories: ['billing']
+      }
+    ]);
+
+    console.log('Created teams');
+
     // Create tickets
     const tickets = await Ticket.create([
       {
@@ -10,11 +10,26 @@ import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import ticketRoutes from './routes/tickets.js';
 import userRoutes from './routes/users.js';
+import calendarRoutes from './routes/calendars.js';
+import slaPolicyRoutes from './routes/slaPolicies.js';
+import escalationRuleRoutes from './routes/escalationRules.js';
+import settingRoutes from './routes/settings.js';
+import teamRoutes from './routes/teams.js';
+import surveyRoutes from './routes/surveys.js';
+import inboundEmailRoutes from './routes/inboundEmail.js';
+import webhookRoutes from './routes/webhooks.js';
+import streamRoutes from './routes/stream.js';
+import notificationRoutes from './routes/notifications.js';
+import savedViewRoutes from './routes/savedViews.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { idempotencyMiddleware } from './middleware/idempotency.js';
 
+// Import services
+import { loadCalendars } from './services/calendars.js';
+import { startJobs } from './jobs/index.js';
+
 dotenv.config();
 
 const app = express();
@@ -56,6 +71,17 @@ app.use(idempotencyMiddleware);
 app.use('/api/auth', authRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/calendars', calendarRoutes);
+app.use('/api/sla-policies', slaPolicyRoutes);
+app.use('/api/escalation-rules', escalationRuleRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/surveys', surveyRoutes);
+app.use('/api/inbound-email', inboundEmailRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/saved-views', savedViewRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -80,8 +106,15 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb+srv://ticketdbuserr:maha
 
 // Connect to MongoDB
 mongoose.connect(MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
+
+    // Business calendars are cached in memory for SLA math
+    await loadCalendars();
+
+    // Background jobs (SLA breach scanner, escalations, cache refresh)
+    startJobs();
+
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
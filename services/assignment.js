@@ -0,0 +1,87 @@
+import Ticket from '../models/Ticket.js';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import { assignTicket } from './ticketActions.js';
+import { ASSIGNMENT_STRATEGIES, getSetting, incrementCounter } from './settings.js';
+import { getSystemUser } from './systemUser.js';
+
+// Active agents eligible for automatic assignment, in a stable order
+const findEligibleAgents = async (ids) => {
+  const query = { role: 'agent', isActive: true, isSystem: { $ne: true } };
+  if (ids) {
+    query._id = { $in: ids };
+  }
+  return User.find(query).select('_id name').sort({ _id: 1 }).lean();
+};
+
+// Agent with the fewest open tickets (ties go to the first agent)
+const pickLeastLoaded = async (agents) => {
+  if (agents.length === 0) return null;
+
+  const workloads = await Ticket.aggregate([
+    { $match: Ticket.openWorkloadQuery({ $in: agents.map(a => a._id) }) },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+  const counts = new Map(workloads.map(w => [w._id.toString(), w.count]));
+
+  return agents.reduce((best, agent) =>
+    (counts.get(agent._id.toString()) || 0) < (counts.get(best._id.toString()) || 0) ? agent : best
+  );
+};
+
+// Strategies take the new ticket and return the agent to assign, or null
+const strategies = {
+  round_robin: async () => {
+    const agents = await findEligibleAgents();
+    if (agents.length === 0) return null;
+
+    // Shared counter so that several server instances continue the same rotation
+    const turn = await incrementCounter('assignment.roundRobinCounter');
+    return agents[(turn - 1) % agents.length];
+  },
+
+  least_loaded: async () => pickLeastLoaded(await findEligibleAgents()),
+
+  // Members of the team queue the ticket was routed to, otherwise the
+  // agents configured for its category
+  category: async (ticket) => {
+    let ids;
+    const team = ticket.team ? await Team.findById(ticket.team).lean() : null;
+
+    if (team && team.isActive) {
+      ids = [...team.members, ...team.leads];
+    } else {
+      const categoryAgents = await getSetting('assignment.categoryAgents');
+      ids = categoryAgents[ticket.category];
+    }
+    if (!ids || ids.length === 0) return null;
+
+    return pickLeastLoaded(await findEligibleAgents(ids));
+  }
+};
+
+// Register an additional strategy selectable through the assignment.strategy setting
+export const registerAssignmentStrategy = (name, strategy) => {
+  strategies[name] = strategy;
+  if (!ASSIGNMENT_STRATEGIES.includes(name)) {
+    ASSIGNMENT_STRATEGIES.push(name);
+  }
+};
+
+// Assign a newly created ticket according to the configured strategy.
+// Returns the assigned agent, or null when nothing was assigned.
+export const autoAssignTicket = async (ticket) => {
+  if (ticket.assignedTo) return null;
+
+  const strategyName = await getSetting('assignment.strategy');
+  const strategy = strategies[strategyName];
+  if (!strategy) return null;
+
+  const agent = await strategy(ticket);
+  if (!agent) return null;
+
+  const actor = await getSystemUser();
+  await assignTicket(ticket, agent._id, actor, { reason: `auto-assigned by ${strategyName} strategy` });
+
+  return agent;
+};
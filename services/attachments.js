@@ -0,0 +1,51 @@
+import { getStorage } from './storage/index.js';
+
+// Persist uploaded files (from middleware/upload.js) and return the attachment
+// metadata stored on tickets and comments
+export const storeAttachments = async (files = []) => {
+  const storage = getStorage();
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const stored = await storage.save({
+        buffer: file.buffer,
+        originalName: file.originalname,
+        mimetype: file.mimetype
+      });
+
+      attachments.push({
+        filename: stored.filename,
+        originalName: file.originalname,
+        mimetype: file.mimetype,
+        size: stored.size,
+        path: stored.key
+      });
+    }
+  } catch (error) {
+    await removeAttachments(attachments);
+    throw error;
+  }
+
+  return attachments;
+};
+
+// Attachment metadata as the API returns it: files are downloaded through the
+// ticket routes, so storage keys never leave the server
+export const toAttachmentJSON = (attachments, ticketId) => attachments.map(({ path, ...attachment }) => ({
+  ...attachment,
+  url: `/api/tickets/${ticketId}/attachments/${attachment._id}`
+}));
+
+// Best-effort cleanup, e.g. when the ticket or comment could not be saved
+export const removeAttachments = async (attachments = []) => {
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    try {
+      await storage.remove(attachment.path);
+    } catch (error) {
+      console.error('Attachment cleanup error:', error);
+    }
+  }
+};
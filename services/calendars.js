@@ -0,0 +1,26 @@
+import BusinessCalendar from '../models/BusinessCalendar.js';
+
+// In-memory copy of the business calendars so SLA math (including the
+// synchronous Ticket virtuals) never needs a database round trip.
+// Refreshed on startup, after every admin change and periodically so
+// that other server instances pick up edits.
+let calendarsById = new Map();
+let defaultCalendar = null;
+
+export const loadCalendars = async () => {
+  const calendars = await BusinessCalendar.find({}).lean();
+
+  calendarsById = new Map(calendars.map(c => [c._id.toString(), c]));
+  defaultCalendar = calendars.find(c => c.isDefault) || null;
+
+  return calendars;
+};
+
+export const getDefaultCalendar = () => defaultCalendar;
+
+// The calendar a ticket stores; null (no calendar, or one since deleted)
+// means 24/7, matching how the ticket's deadlines were computed
+export const getCalendar = (calendarId) => {
+  if (!calendarId) return null;
+  return calendarsById.get(calendarId.toString()) || null;
+};
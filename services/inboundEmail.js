@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import { simpleParser } from 'mailparser';
+import Ticket from '../models/Ticket.js';
+import User from '../models/User.js';
+import EmailMessage from '../models/EmailMessage.js';
+import InboundEmail from '../models/InboundEmail.js';
+import { addComment, createTicket } from './ticketActions.js';
+import { removeAttachments, storeAttachments } from './attachments.js';
+import { isRequester, isWatcher } from './ticketAccess.js';
+import { getSetting } from './settings.js';
+import { getAttachmentLimits } from '../middleware/upload.js';
+import { findTicketTag, parseMessageIds, stripQuotedReply } from '../utils/emailReply.js';
+import { AppError } from '../utils/AppError.js';
+
+// Ticket description and comment length limits
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_TITLE_LENGTH = 200;
+
+const truncate = (value, max) => (value.length > max ? `${value.slice(0, max - 1)}…` : value);
+
+const cleanSubject = (subject = '') =>
+  subject.replace(/^\s*((re|fwd?|aw|wg)\s*:\s*)+/i, '').replace(/\[Ticket [a-f0-9]{24}\]\s*/i, '').trim();
+
+// MIME attachments within the configured upload limits, as multer-style files;
+// inline parts (e.g. signature images) and disallowed types are skipped
+const extractFiles = (parsed) => {
+  const { maxFileSize, maxFiles, allowedTypes } = getAttachmentLimits();
+
+  return (parsed.attachments || [])
+    .filter(part => part.contentDisposition !== 'inline' && !part.related)
+    .filter(part => allowedTypes.includes(part.contentType) && part.size <= maxFileSize)
+    .slice(0, maxFiles)
+    .map(part => ({
+      buffer: part.content,
+      originalname: part.filename || 'attachment',
+      mimetype: part.contentType
+    }));
+};
+
+// The ticket a reply belongs to: the Message-ID of one of our notifications
+// or of an earlier ingested email, else a "[Ticket <id>]" subject tag
+const findThreadTicket = async (parsed) => {
+  const references = parseMessageIds(parsed.inReplyTo, parsed.references);
+
+  if (references.length) {
+    const notification = await EmailMessage.findOne({ messageId: { $in: references } }).select('ticket');
+    if (notification?.ticket) return Ticket.findById(notification.ticket);
+
+    const earlier = await InboundEmail.findOne({ messageId: { $in: references }, ticket: { $ne: null } }).select('ticket');
+    if (earlier) return Ticket.findById(earlier.ticket);
+  }
+
+  const taggedId = findTicketTag(parsed.subject);
+  return taggedId ? Ticket.findById(taggedId) : null;
+};
+
+// Ingest one raw RFC 822 message: open a ticket, thread a reply onto an
+// existing one, or quarantine/reject mail from unknown senders.
+// Redelivered messages (same Message-ID) are reported as duplicates.
+export const ingestEmail = async (raw) => {
+  const parsed = await simpleParser(raw);
+  const messageId = parsed.messageId ||
+    `<${crypto.createHash('sha256').update(raw).digest('hex')}@inbound.helpdesk.local>`;
+
+  const existing = await InboundEmail.findOne({ messageId });
+  if (existing) {
+    return { status: 'duplicate', inboundEmail: existing };
+  }
+
+  const from = parsed.from?.value?.[0]?.address?.toLowerCase();
+  const record = { messageId, from, subject: parsed.subject };
+
+  const sender = from
+    ? await User.findOne({ email: from, isActive: true, isSystem: { $ne: true } })
+    : null;
+
+  if (!sender) {
+    const policy = await getSetting('inboundEmail.unknownSender');
+    const reason = from ? `Unknown sender ${from}` : 'Message has no sender address';
+
+    if (policy === 'quarantine') {
+      const inboundEmail = await InboundEmail.create({
+        ...record,
+        status: 'quarantined',
+        reason,
+        raw: raw.toString()
+      });
+      return { status: 'quarantined', inboundEmail };
+    }
+
+    await InboundEmail.create({ ...record, status: 'rejected', reason });
+    throw new AppError('UNKNOWN_SENDER', reason, 422, 'from');
+  }
+
+  // The From header is unauthenticated, so mail never acts as staff: a
+  // spoofed agent address could otherwise post public replies (or internal
+  // discussion) and stop the response SLA. Staff work in the app instead.
+  if (sender.role !== 'user') {
+    const reason = `Email from staff addresses is not accepted (${from})`;
+    await InboundEmail.create({ ...record, status: 'rejected', reason, sender: sender._id });
+    throw new AppError('STAFF_EMAIL_REJECTED', 'Staff must work on tickets in the app, not by email', 422, 'from');
+  }
+
+  const text = (parsed.text || '').trim();
+  const attachments = await storeAttachments(extractFiles(parsed));
+
+  // Replies from the requester or a watcher become comments; replies to closed
+  // tickets (or someone else's) open a new ticket instead
+  const ticket = await findThreadTicket(parsed);
+  if (ticket && ticket.status !== 'closed' && (isRequester(sender, ticket) || isWatcher(sender, ticket))) {
+    const content = truncate(stripQuotedReply(text) || '(no content)', MAX_CONTENT_LENGTH);
+    let comment;
+    try {
+      comment = await addComment(ticket, { content, type: 'comment', attachments }, sender);
+    } catch (error) {
+      await removeAttachments(attachments);
+      throw error;
+    }
+
+    const inboundEmail = await InboundEmail.create({
+      ...record,
+      status: 'commented',
+      sender: sender._id,
+      ticket: ticket._id,
+      comment: comment._id
+    });
+    return { status: 'commented', inboundEmail, ticket, comment };
+  }
+
+  const newTicket = await createTicket({
+    title: truncate(cleanSubject(parsed.subject) || '(no subject)', MAX_TITLE_LENGTH),
+    description: truncate(text || '(no content)', MAX_CONTENT_LENGTH),
+    attachments
+  }, sender);
+
+  const inboundEmail = await InboundEmail.create({
+    ...record,
+    status: 'ticket_created',
+    sender: sender._id,
+    ticket: newTicket._id
+  });
+  return { status: 'ticket_created', inboundEmail, ticket: newTicket };
+};
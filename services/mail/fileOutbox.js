@@ -0,0 +1,27 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Writes each message as a JSON file, for development and for running
+// without a mail server
+export const createFileOutboxTransport = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const messageId = message.messageId || `<${crypto.randomBytes(12).toString('hex')}@helpdesk.local>`;
+      const sentAt = new Date();
+      const filename = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(root, filename),
+        JSON.stringify({ ...message, messageId, sentAt }, null, 2)
+      );
+
+      return { messageId };
+    }
+  };
+};
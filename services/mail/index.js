@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+import { createSmtpTransport } from './smtp.js';
+import { createFileOutboxTransport } from './fileOutbox.js';
+
+// Email transport. Every transport implements:
+//   send({ messageId, from, to, subject, text, html }) -> { messageId }
+// and throws when the message could not be handed over (the outbox retries).
+let transport = null;
+
+export const getTransport = () => {
+  if (!transport) {
+    const driver = process.env.MAIL_TRANSPORT || 'file';
+
+    switch (driver) {
+      case 'smtp':
+        transport = createSmtpTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        });
+        break;
+      case 'file':
+        transport = createFileOutboxTransport(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+        break;
+      default:
+        throw new Error(`Unknown mail transport: ${driver}`);
+    }
+  }
+  return transport;
+};
+
+// Swap the transport (e.g. for a provider API implementation)
+export const setTransport = (backend) => {
+  transport = backend;
+};
+
+export const getMailFrom = () => process.env.MAIL_FROM || 'HelpDesk <no-reply@helpdesk.local>';
+
+// Message-IDs are assigned when a message is queued so that replies can be
+// threaded back onto the ticket by the inbound email ingestion
+export const createMessageId = () =>
+  `<${crypto.randomBytes(12).toString('hex')}@${process.env.MAIL_DOMAIN || 'helpdesk.local'}>`;
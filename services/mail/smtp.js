@@ -0,0 +1,24 @@
+import nodemailer from 'nodemailer';
+
+// Sends through an SMTP relay
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass } } : {})
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
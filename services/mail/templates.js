@@ -0,0 +1,93 @@
+// Per-event email templates. Each returns { subject, text, html } for one
+// recipient; the context is built by the notification service.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+// Plain-text body plus a minimal HTML rendering of the same paragraphs
+const layout = ({ recipientName, paragraphs, ticketUrl, footer }) => {
+  const lines = [`Hi ${recipientName},`, ...paragraphs, `View the ticket: ${ticketUrl}`, ...(footer ? [footer] : [])];
+
+  return {
+    text: lines.join('\n\n'),
+    html: [
+      `<p>Hi ${escapeHtml(recipientName)},</p>`,
+      ...paragraphs.map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`),
+      `<p><a href="${escapeHtml(ticketUrl)}">View the ticket</a></p>`,
+      ...(footer ? [`<p>${escapeHtml(footer)}</p>`] : [])
+    ].join('\n')
+  };
+};
+
+const templates = {
+  ticket_assigned: ({ ticket, actorName, recipient, ticketUrl }) => ({
+    subject: `[Ticket ${ticket._id}] Assigned to you: ${ticket.title}`,
+    ...layout({
+      recipientName: recipient.name,
+      paragraphs: [`${actorName} assigned you the ticket "${ticket.title}" (priority: ${ticket.priority}).`],
+      ticketUrl
+    })
+  }),
+
+  comment_added: ({ ticket, actorName, recipient, comment, ticketUrl }) => ({
+    subject: `[Ticket ${ticket._id}] New ${comment.type === 'internal_note' ? 'internal note' : 'comment'}: ${ticket.title}`,
+    ...layout({
+      recipientName: recipient.name,
+      paragraphs: [`${actorName} wrote:`, comment.content],
+      ticketUrl
+    })
+  }),
+
+  mentioned: ({ ticket, actorName, recipient, comment, ticketUrl }) => ({
+    subject: `[Ticket ${ticket._id}] ${actorName} mentioned you: ${ticket.title}`,
+    ...layout({
+      recipientName: recipient.name,
+      paragraphs: [`${actorName} mentioned you in ${comment.type === 'internal_note' ? 'an internal note' : 'a comment'}:`, comment.content],
+      ticketUrl
+    })
+  }),
+
+  status_changed: ({ ticket, actorName, recipient, oldStatus, ticketUrl, surveyUrl }) => ({
+    subject: `[Ticket ${ticket._id}] ${ticket.status === 'resolved' ? 'Resolved' : `Status changed to ${formatStatus(ticket.status)}`}: ${ticket.title}`,
+    ...layout({
+      recipientName: recipient.name,
+      paragraphs: [`${actorName} changed the status from ${formatStatus(oldStatus)} to ${formatStatus(ticket.status)}.`],
+      ticketUrl,
+      footer: surveyUrl ? `How did we do? Rate your experience: ${surveyUrl}` : null
+    })
+  }),
+
+  priority_changed: ({ ticket, actorName, recipient, oldPriority, ticketUrl }) => ({
+    subject: `[Ticket ${ticket._id}] Priority changed to ${ticket.priority}: ${ticket.title}`,
+    ...layout({
+      recipientName: recipient.name,
+      paragraphs: [`${actorName} changed the priority from ${oldPriority} to ${ticket.priority}.`],
+      ticketUrl
+    })
+  }),
+
+  sla_breach: ({ ticket, recipient, slaType, ticketUrl }) => ({
+    subject: `[Ticket ${ticket._id}] ${slaType === 'response' ? 'Response' : 'Resolution'} SLA breached: ${ticket.title}`,
+    ...layout({
+      recipientName: recipient.name,
+      paragraphs: [`The ${slaType} SLA of the ticket "${ticket.title}" (priority: ${ticket.priority}) was breached.`],
+      ticketUrl
+    })
+  })
+};
+
+export const EMAIL_EVENTS = Object.keys(templates);
+
+export const renderTemplate = (event, context) => {
+  const template = templates[event];
+  if (!template) {
+    throw new Error(`Unknown email template: ${event}`);
+  }
+  return template(context);
+};
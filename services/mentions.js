@@ -0,0 +1,16 @@
+import User from '../models/User.js';
+import { findMentions } from '../utils/mentions.js';
+
+const STAFF_ROLES = ['agent', 'admin'];
+
+// Agents and admins mentioned in a comment. Only staff authors can mention:
+// customers' "@..." text is never resolved, so it cannot be used to probe
+// which agents exist.
+export const resolveMentions = async (content, author) => {
+  if (!STAFF_ROLES.includes(author.role) || !content.includes('@')) return [];
+
+  const staff = await User.find({ role: { $in: STAFF_ROLES }, isActive: true, isSystem: { $ne: true } })
+    .select('name email role');
+
+  return findMentions(content, staff).filter(user => !user._id.equals(author._id));
+};
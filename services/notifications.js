@@ -0,0 +1,113 @@
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import Survey from '../models/Survey.js';
+import Notification, { NOTIFICATION_EVENTS } from '../models/Notification.js';
+import EmailMessage from '../models/EmailMessage.js';
+import { renderTemplate } from './mail/templates.js';
+import { createMessageId } from './mail/index.js';
+import { getSurveyLink } from './surveys.js';
+import { displayName, getVisibilityPolicy } from './visibility.js';
+
+const idOf = (value) => value?._id || value;
+
+// Who hears about each event; the actor is never notified of their own change.
+// Watchers get the same notifications as the requester.
+const recipientsFor = {
+  ticket_assigned: ({ ticket }) => [ticket.assignedTo],
+  comment_added: ({ ticket, comment }) => comment.type === 'internal_note'
+    ? [ticket.assignedTo]
+    : [ticket.createdBy, ...(ticket.watchers || []), ticket.assignedTo],
+  mentioned: ({ mentioned }) => mentioned,
+  status_changed: ({ ticket }) => [ticket.createdBy, ...(ticket.watchers || []), ticket.assignedTo],
+  priority_changed: ({ ticket }) => [ticket.assignedTo],
+  // The assignee and the leads of the ticket's team
+  sla_breach: async ({ ticket }) => {
+    const team = ticket.team ? await Team.findById(idOf(ticket.team)).select('leads') : null;
+    return [ticket.assignedTo, ...(team?.leads || [])];
+  }
+};
+
+// In-app inbox messages
+const inAppMessages = {
+  ticket_assigned: ({ actorName }) => `${actorName} assigned the ticket to you`,
+  comment_added: ({ actorName, comment }) =>
+    `${actorName} added ${comment.type === 'internal_note' ? 'an internal note' : 'a comment'}`,
+  mentioned: ({ actorName, comment }) =>
+    `${actorName} mentioned you in ${comment.type === 'internal_note' ? 'an internal note' : 'a comment'}`,
+  status_changed: ({ actorName, oldStatus, ticket }) =>
+    `${actorName} changed the status from ${oldStatus.replace(/_/g, ' ')} to ${ticket.status.replace(/_/g, ' ')}`,
+  priority_changed: ({ actorName, oldPriority, ticket }) =>
+    `${actorName} changed the priority from ${oldPriority} to ${ticket.priority}`,
+  sla_breach: ({ slaType }) => `The ${slaType} SLA was breached`
+};
+
+const ticketUrl = (ticket) =>
+  `${process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`}/tickets/${ticket._id}`;
+
+const loadRecipients = async (event, context) => {
+  const ids = (await recipientsFor[event](context))
+    .map(idOf)
+    .filter(id => id && !id.equals(context.actor._id));
+  if (ids.length === 0) return [];
+
+  return User.find({
+    _id: { $in: ids },
+    isActive: true,
+    isSystem: { $ne: true },
+    mutedNotifications: { $ne: event }
+  });
+};
+
+// Extra per-recipient context, e.g. the survey link for the requester
+const recipientExtras = async (event, context, recipient) => {
+  const { ticket } = context;
+  if (event !== 'status_changed' || ticket.status !== 'resolved' || !idOf(ticket.createdBy).equals(recipient._id)) {
+    return {};
+  }
+
+  const survey = await Survey.findOne({ ticket: ticket._id, status: 'pending' });
+  return survey ? { surveyUrl: await getSurveyLink(survey) } : {};
+};
+
+// Store an in-app notification and queue an email for everyone who should
+// hear about a ticket event (minus users who muted it). Never throws:
+// notifications must not fail the change that triggered them.
+export const notifyTicketEvent = async (event, context) => {
+  try {
+    const recipients = await loadRecipients(event, context);
+
+    for (const recipient of recipients) {
+      const policy = await getVisibilityPolicy(recipient);
+      const recipientContext = {
+        ...context,
+        ...(await recipientExtras(event, context, recipient)),
+        recipient,
+        actorName: displayName(context.actor, policy),
+        ticketUrl: ticketUrl(context.ticket)
+      };
+
+      await Notification.create({
+        recipient: recipient._id,
+        event,
+        ticket: context.ticket._id,
+        actor: context.actor._id,
+        title: context.ticket.title,
+        message: inAppMessages[event](recipientContext)
+      });
+
+      const { subject, text, html } = renderTemplate(event, recipientContext);
+      await EmailMessage.create({
+        to: recipient.email,
+        recipient: recipient._id,
+        ticket: context.ticket._id,
+        event,
+        messageId: createMessageId(),
+        subject,
+        text,
+        html
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to queue ${event} notifications for ticket ${context.ticket?._id}:`, error);
+  }
+};
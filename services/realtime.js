@@ -0,0 +1,160 @@
+import Ticket from '../models/Ticket.js';
+import Comment from '../models/Comment.js';
+import Timeline from '../models/Timeline.js';
+import { canViewTicket } from './ticketAccess.js';
+import { getVisibilityPolicy, presentComment, presentTicket, presentTimelineEntry } from './visibility.js';
+import { TIMELINE_WEBHOOK_EVENTS } from '../utils/webhookEvents.js';
+
+// Live ticket activity for streaming clients. Every change writes a Timeline
+// entry, so each server instance polls the Timeline collection while it has
+// subscribers and fans new entries out to them. This works across instances
+// without change streams (which need a replica set).
+
+const COMMENT_ACTIONS = ['commented', 'comment_edited', 'comment_deleted'];
+
+// Entries are re-read for this long to cover clock skew between instances
+const POLL_OVERLAP_MS = 5 * 1000;
+
+// Max entries dispatched per poll; a full batch continues from its last entry
+const BATCH_SIZE = 500;
+
+const subscribers = new Set();
+const seen = new Map(); // Timeline entry ID -> createdAt (ms), within the overlap window
+let timer = null;
+let polling = false;
+let lastPollAt = null;
+
+const pollIntervalMs = () => parseInt(process.env.REALTIME_POLL_INTERVAL_MS) || 1000;
+
+// Send one change to a subscriber if the viewer may see it and it concerns
+// their subscription. Queue subscribers also hear about tickets that just
+// left their queue (inQueue: false) so clients can drop them.
+const deliver = async (subscriber, { event, entry, ticket, comment }) => {
+  const { user, policy } = subscriber;
+  if (!canViewTicket(user, ticket)) return;
+
+  const timeline = presentTimelineEntry(entry, policy);
+  if (!timeline) return; // Internal note or staff-only event
+
+  const data = { ticket: presentTicket(ticket, policy), timeline };
+
+  if (subscriber.ticketId) {
+    if (!ticket._id.equals(subscriber.ticketId)) return;
+  } else {
+    const id = ticket._id.toString();
+    const inQueue = Boolean(await Ticket.exists({ _id: ticket._id, ...subscriber.filter }));
+    if (!inQueue && !subscriber.knownTickets.has(id)) return;
+
+    if (inQueue) {
+      subscriber.knownTickets.add(id);
+    } else {
+      subscriber.knownTickets.delete(id);
+    }
+    data.inQueue = inQueue;
+  }
+
+  if (comment) {
+    const visibleComment = presentComment(comment, policy);
+    if (!visibleComment) return;
+    data.comment = visibleComment;
+  }
+
+  subscriber.send(event, data);
+};
+
+const dispatch = async (entry) => {
+  const ticket = await Ticket.findById(entry.ticket)
+    .populate('createdBy', 'name email role')
+    .populate('assignedTo', 'name email role')
+    .populate('watchers', 'name email role')
+    .populate('team', 'name');
+  if (!ticket) return;
+
+  const comment = COMMENT_ACTIONS.includes(entry.action) && entry.details?.comment
+    ? await Comment.findById(entry.details.comment).populate('author', 'name email role')
+    : null;
+
+  const change = {
+    event: TIMELINE_WEBHOOK_EVENTS[entry.action] || `ticket.${entry.action}`,
+    entry,
+    ticket,
+    comment
+  };
+
+  for (const subscriber of subscribers) {
+    try {
+      await deliver(subscriber, change);
+    } catch (error) {
+      console.error('Realtime delivery error:', error);
+    }
+  }
+};
+
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    const startedAt = new Date();
+    const since = new Date(lastPollAt.getTime() - POLL_OVERLAP_MS);
+
+    const entries = await Timeline.find({ createdAt: { $gt: since } })
+      .populate('user', 'name email role')
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+
+    lastPollAt = entries.length === BATCH_SIZE ? entries[entries.length - 1].createdAt : startedAt;
+
+    for (const entry of entries) {
+      const id = entry._id.toString();
+      if (seen.has(id)) continue;
+
+      seen.set(id, entry.createdAt.getTime());
+      await dispatch(entry);
+    }
+
+    for (const [id, createdAt] of seen) {
+      if (createdAt < since.getTime()) seen.delete(id);
+    }
+  } catch (error) {
+    console.error('Realtime poll error:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+const startPolling = () => {
+  if (timer) return;
+  lastPollAt = new Date();
+  timer = setInterval(poll, pollIntervalMs());
+};
+
+const stopPolling = () => {
+  clearInterval(timer);
+  timer = null;
+  seen.clear();
+};
+
+// Register a streaming client. `ticketId` subscribes to one ticket, otherwise
+// `filter` (from buildTicketFilter) selects the queue. The visibility policy
+// is loaded once per connection. Returns the unsubscribe function.
+export const subscribe = async ({ user, ticketId = null, filter = {}, send }) => {
+  const subscriber = {
+    user,
+    ticketId,
+    filter,
+    send,
+    policy: await getVisibilityPolicy(user),
+    knownTickets: new Set()
+  };
+
+  subscribers.add(subscriber);
+  startPolling();
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) {
+      stopPolling();
+    }
+  };
+};
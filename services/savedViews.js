@@ -0,0 +1,93 @@
+import SavedView from '../models/SavedView.js';
+import Ticket from '../models/Ticket.js';
+import Team from '../models/Team.js';
+import { applyTicketSearch, buildTicketFilter } from './ticketFilters.js';
+import { getUserTeamIds } from './teams.js';
+import { STATUSES } from './workflow.js';
+import { AppError } from '../utils/AppError.js';
+
+const FILTER_KEYS = ['status', 'priority', 'assignedTo', 'createdBy', 'team', 'queue', 'breached', 'mentioned', 'watching', 'search'];
+
+// Views the user owns or that are shared with their role or one of their teams
+export const accessibleViewsQuery = async (user) => {
+  const teamIds = await getUserTeamIds(user._id);
+
+  return {
+    $or: [
+      { owner: user._id },
+      { visibility: 'role', sharedWithRole: user.role },
+      { visibility: 'team', sharedWithTeam: { $in: teamIds } }
+    ]
+  };
+};
+
+export const findAccessibleView = async (user, viewId) => {
+  const view = await SavedView.findOne({ _id: viewId, ...(await accessibleViewsQuery(user)) });
+  if (!view) {
+    throw new AppError('VIEW_NOT_FOUND', 'Saved view not found', 404);
+  }
+  return view;
+};
+
+// Only the owner (or an admin) may change or delete a view
+export const canEditView = (user, view) => user.role === 'admin' || view.owner.equals(user._id);
+
+// Customers keep their views private; staff may share with a role, or with
+// a team they belong to (admins with any team)
+export const assertCanShare = async (user, { visibility, sharedWithRole, sharedWithTeam }) => {
+  if (!visibility || visibility === 'private') return;
+
+  if (user.role === 'user') {
+    throw new AppError('FORBIDDEN', 'Customers cannot share views', 403, 'visibility');
+  }
+
+  if (visibility === 'role' && sharedWithRole === 'admin' && user.role !== 'admin') {
+    throw new AppError('FORBIDDEN', 'Only admins can share views with admins', 403, 'sharedWithRole');
+  }
+
+  if (visibility === 'team' && sharedWithTeam && user.role !== 'admin') {
+    const team = await Team.findById(sharedWithTeam);
+    if (!team || !team.hasMember(user._id)) {
+      throw new AppError('FORBIDDEN', 'You can only share views with your own teams', 403, 'sharedWithTeam');
+    }
+  }
+};
+
+// Ticket list options for a view; explicit request values win over stored ones
+export const resolveViewOptions = (view, overrides = {}) => {
+  const options = {};
+  FILTER_KEYS.forEach(key => {
+    const value = overrides[key] !== undefined ? overrides[key] : view.filters?.[key];
+    if (value !== undefined && value !== null) {
+      options[key] = value;
+    }
+  });
+
+  // Left unset when neither names a sort, so the list picks its own default
+  const sortBy = overrides.sortBy || view.sort?.sortBy;
+  const sortOrder = overrides.sortOrder || view.sort?.sortOrder;
+  if (sortBy) options.sortBy = sortBy;
+  if (sortOrder) options.sortOrder = sortOrder;
+
+  return options;
+};
+
+// Live badge counts for a view: its total and a per-status breakdown
+export const countViewTickets = async (user, view) => {
+  const { search, ...filters } = resolveViewOptions(view);
+  const query = await applyTicketSearch(await buildTicketFilter(user, filters), search, user);
+
+  const [total, ...perStatus] = await Promise.all([
+    Ticket.countDocuments(query),
+    ...STATUSES.map(status => (query.status && query.status !== status
+      ? 0
+      : Ticket.countDocuments({ ...query, status })))
+  ]);
+
+  const byStatus = {};
+  STATUSES.forEach((status, index) => {
+    byStatus[status] = perStatus[index];
+  });
+
+  return { total, byStatus };
+};
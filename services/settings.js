@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import Setting from '../models/Setting.js';
+import { AppError } from '../utils/AppError.js';
+
+const CATEGORIES = ['technical', 'billing', 'general', 'feature_request'];
+export const STATUSES = ['open', 'in_progress', 'pending', 'resolved', 'closed'];
+const ROLES = ['user', 'agent', 'admin'];
+
+// Extended by registerAssignmentStrategy() in services/assignment.js
+export const ASSIGNMENT_STRATEGIES = ['none', 'round_robin', 'least_loaded', 'category'];
+
+// Allowed status transitions per role: { agent: { open: ['in_progress', ...] } }
+export const DEFAULT_TRANSITIONS = {
+  user: {},
+  agent: {
+    open: ['in_progress', 'pending', 'resolved'],
+    in_progress: ['open', 'pending', 'resolved'],
+    pending: ['open', 'in_progress', 'resolved'],
+    resolved: ['in_progress', 'closed'],
+    closed: []
+  },
+  admin: {
+    open: ['in_progress', 'pending', 'resolved', 'closed'],
+    in_progress: ['open', 'pending', 'resolved', 'closed'],
+    pending: ['open', 'in_progress', 'resolved', 'closed'],
+    resolved: ['open', 'in_progress', 'closed'],
+    closed: ['open']
+  }
+};
+
+const isTransitionMap = (value) =>
+  value !== null && typeof value === 'object' &&
+  Object.entries(value).every(([role, transitions]) =>
+    ROLES.includes(role) && transitions !== null && typeof transitions === 'object' &&
+    Object.entries(transitions).every(([from, to]) =>
+      STATUSES.includes(from) && Array.isArray(to) && to.every(status => STATUSES.includes(status))));
+
+const isIdList = (value) =>
+  Array.isArray(value) && value.every(id => mongoose.Types.ObjectId.isValid(id));
+
+// Every admin-editable setting with its default and validation
+export const SETTING_DEFINITIONS = {
+  'assignment.strategy': {
+    description: 'How new tickets are assigned: none, round_robin, least_loaded or category',
+    default: 'none',
+    validate: (value) => ASSIGNMENT_STRATEGIES.includes(value)
+  },
+  'assignment.categoryAgents': {
+    description: 'Agents eligible per category for the category strategy, e.g. { "billing": ["<userId>"] }',
+    default: {},
+    validate: (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(([category, ids]) => CATEGORIES.includes(category) && isIdList(ids))
+  },
+  'comments.editWindowMinutes': {
+    description: 'Minutes after posting during which authors can edit or delete their comments (admins can always)',
+    default: 15,
+    validate: (value) => Number.isInteger(value) && value >= 0
+  },
+  'workflow.transitions': {
+    description: 'Status transition overrides per role, merged into the defaults, e.g. { "agent": { "open": ["in_progress"] } }',
+    default: DEFAULT_TRANSITIONS,
+    validate: isTransitionMap
+  },
+  'workflow.reopenWindowDays': {
+    description: 'Days after resolution during which requesters can reopen their ticket',
+    default: 7,
+    validate: (value) => typeof value === 'number' && value >= 0
+  },
+  'autoClose.afterDays': {
+    description: 'Days a resolved ticket waits for a customer reply before it is closed automatically (0 disables)',
+    default: 7,
+    validate: (value) => typeof value === 'number' && value >= 0
+  },
+  'autoClose.categoryDays': {
+    description: 'Per-category overrides of autoClose.afterDays, e.g. { "billing": 14 }',
+    default: {},
+    validate: (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(([category, days]) => CATEGORIES.includes(category) && typeof days === 'number' && days >= 0)
+  },
+  'inboundEmail.unknownSender': {
+    description: 'What to do with inbound email from addresses without an active account: reject or quarantine',
+    default: 'quarantine',
+    validate: (value) => ['reject', 'quarantine'].includes(value)
+  },
+  'visibility.hideAgentNames': {
+    description: 'Show customers the agent alias instead of agent names in tickets, comments and timelines',
+    default: false,
+    validate: (value) => typeof value === 'boolean'
+  },
+  'visibility.agentAlias': {
+    description: 'Name shown to customers for agents when agent names are hidden',
+    default: 'Support',
+    validate: (value) => typeof value === 'string' && value.trim().length > 0 && value.length <= 100
+  },
+  'visibility.customerHiddenActions': {
+    description: 'Timeline actions customers never see',
+    default: ['escalated', 'sla_breach'],
+    validate: (value) => Array.isArray(value) && value.every(action => typeof action === 'string')
+  }
+};
+
+export const getSetting = async (key) => {
+  const setting = await Setting.findById(key).lean();
+  return setting ? setting.value : SETTING_DEFINITIONS[key]?.default;
+};
+
+export const getSettings = async () => {
+  const stored = await Setting.find({ _id: { $in: Object.keys(SETTING_DEFINITIONS) } }).lean();
+  const values = new Map(stored.map(s => [s._id, s]));
+
+  return Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => ({
+    key,
+    description: definition.description,
+    value: values.has(key) ? values.get(key).value : definition.default,
+    isDefault: !values.has(key),
+    updatedAt: values.get(key)?.updatedAt
+  }));
+};
+
+export const updateSetting = async (key, value, user) => {
+  const definition = SETTING_DEFINITIONS[key];
+
+  if (!definition) {
+    throw new AppError('UNKNOWN_SETTING', `Unknown setting: ${key}`, 400, key);
+  }
+  if (!definition.validate(value)) {
+    throw new AppError('INVALID_SETTING', `Invalid value for setting: ${key}`, 400, key);
+  }
+
+  await Setting.findByIdAndUpdate(
+    key,
+    { value, updatedBy: user?._id, updatedAt: new Date() },
+    { upsert: true }
+  );
+
+  return value;
+};
+
+// Atomically increment an internal counter (not exposed as a setting)
+export const incrementCounter = async (key) => {
+  const counter = await Setting.findByIdAndUpdate(
+    key,
+    { $inc: { value: 1 }, updatedAt: new Date() },
+    { upsert: true, new: true }
+  ).lean();
+  return counter.value;
+};
@@ -0,0 +1,57 @@
+import SlaPolicy from '../models/SlaPolicy.js';
+import User from '../models/User.js';
+import { getDefaultCalendar } from './calendars.js';
+
+// Targets (in hours) used when no SLA policy matches
+export const DEFAULT_SLA_TARGETS = {
+  low: { responseTime: 48, resolutionTime: 168 },
+  medium: { responseTime: 24, resolutionTime: 72 },
+  high: { responseTime: 8, resolutionTime: 24 },
+  urgent: { responseTime: 2, resolutionTime: 8 }
+};
+
+export const getDefaultTargets = (priority) => DEFAULT_SLA_TARGETS[priority] || DEFAULT_SLA_TARGETS.medium;
+
+// First active policy (by order) matching the ticket attributes, or null
+export const findMatchingPolicy = async ({ priority, category, requester }) => {
+  const policies = await SlaPolicy.find({ isActive: true })
+    .sort({ order: 1, createdAt: 1 })
+    .lean();
+
+  return policies.find(policy => SlaPolicy.matches(policy, { priority, category, requester })) || null;
+};
+
+// Resolve the SLA targets a ticket with these attributes would get
+export const resolveSLATargets = async ({ priority, category, requester }) => {
+  const policy = await findMatchingPolicy({ priority, category, requester });
+
+  if (!policy) {
+    return { policy: null, calendar: null, ...getDefaultTargets(priority) };
+  }
+
+  return {
+    policy,
+    calendar: policy.calendar || null,
+    responseTime: policy.responseTime,
+    resolutionTime: policy.resolutionTime
+  };
+};
+
+// Snapshot the matching policy and its targets onto a ticket so that later
+// policy edits never change the SLA of existing tickets
+export const applySLAPolicy = async (ticket) => {
+  const requester = await User.findById(ticket.createdBy).select('email role tier').lean();
+  const targets = await resolveSLATargets({
+    priority: ticket.priority,
+    category: ticket.category,
+    requester
+  });
+
+  ticket.sla.policy = targets.policy?._id;
+  ticket.sla.policyName = targets.policy?.name;
+  ticket.sla.responseTime = targets.responseTime;
+  ticket.sla.resolutionTime = targets.resolutionTime;
+  ticket.sla.calendar = targets.calendar || getDefaultCalendar()?._id;
+
+  return targets;
+};
@@ -0,0 +1,26 @@
+import { createLocalDiskStorage } from './localDisk.js';
+
+// Attachment storage backend. Every backend implements:
+//   save({ buffer, originalName, mimetype }) -> { key, filename, size }
+//   createReadStream(key), exists(key), remove(key)
+let storage = null;
+
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.ATTACHMENT_STORAGE || 'local';
+
+    switch (driver) {
+      case 'local':
+        storage = createLocalDiskStorage(process.env.ATTACHMENT_STORAGE_DIR || 'uploads');
+        break;
+      default:
+        throw new Error(`Unknown attachment storage: ${driver}`);
+    }
+  }
+  return storage;
+};
+
+// Swap the backend (e.g. for an object store implementation)
+export const setStorage = (backend) => {
+  storage = backend;
+};
@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Stores attachment files under a root directory. Keys are relative paths
+// ("2026/10/<random>.png") so the root can move without touching the database.
+export const createLocalDiskStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Refuse keys that would escape the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save({ buffer, originalName }) {
+      const now = new Date();
+      const dir = path.join(String(now.getUTCFullYear()), String(now.getUTCMonth() + 1).padStart(2, '0'));
+      const filename = `${crypto.randomBytes(16).toString('hex')}${path.extname(originalName || '').toLowerCase()}`;
+      const key = path.join(dir, filename).split(path.sep).join('/');
+
+      await fs.promises.mkdir(path.join(root, dir), { recursive: true });
+      await fs.promises.writeFile(resolveKey(key), buffer);
+
+      return { key, filename, size: buffer.length };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Survey from '../models/Survey.js';
+import User from '../models/User.js';
+import { createTimelineEntry } from './timeline.js';
+import { AppError } from '../utils/AppError.js';
+
+const TOKEN_PURPOSE = 'csat';
+
+export const SURVEY_GROUPINGS = ['agent', 'category', 'day', 'month'];
+
+// Issue (or re-issue) the ticket's survey after the Ticket pre-save hook
+// flagged a resolution. Completed surveys are kept as they are.
+export const issueSurveyIfResolved = async (ticket) => {
+  if (!ticket.$locals.resolved) return null;
+  delete ticket.$locals.resolved;
+
+  const survey = await Survey.findOne({ ticket: ticket._id });
+  if (survey?.status === 'completed') return survey;
+
+  return Survey.findOneAndUpdate(
+    { ticket: ticket._id },
+    {
+      requester: ticket.createdBy?._id || ticket.createdBy,
+      agent: ticket.assignedTo?._id || ticket.assignedTo || null,
+      category: ticket.category,
+      tokenNonce: crypto.randomBytes(16).toString('hex'),
+      updatedAt: new Date()
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Signed link token; only valid for the survey's current nonce
+export const createSurveyToken = async (survey) => {
+  const { tokenNonce } = await Survey.findById(survey._id).select('+tokenNonce').lean();
+
+  return jwt.sign(
+    { survey: survey._id.toString(), nonce: tokenNonce, purpose: TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.SURVEY_LINK_EXPIRE || '30d' }
+  );
+};
+
+export const getSurveyLink = async (survey) => {
+  const baseUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl}/api/surveys/respond/${await createSurveyToken(survey)}`;
+};
+
+// Resolve a link token to its pending survey
+export const findSurveyByToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('INVALID_SURVEY_LINK', 'Survey link is invalid or has expired', 404);
+  }
+
+  if (payload.purpose !== TOKEN_PURPOSE || !mongoose.isValidObjectId(payload.survey)) {
+    throw new AppError('INVALID_SURVEY_LINK', 'Survey link is invalid or has expired', 404);
+  }
+
+  const survey = await Survey.findById(payload.survey).select('+tokenNonce');
+  if (!survey) {
+    throw new AppError('INVALID_SURVEY_LINK', 'Survey link is invalid or has expired', 404);
+  }
+  if (survey.status === 'completed') {
+    throw new AppError('SURVEY_ALREADY_SUBMITTED', 'This survey has already been submitted', 409);
+  }
+  if (survey.tokenNonce !== payload.nonce) {
+    throw new AppError('INVALID_SURVEY_LINK', 'Survey link is invalid or has expired', 404);
+  }
+
+  return survey;
+};
+
+// Record the requester's answer; the link token is burned with the nonce.
+// The update only applies to a still-pending survey (and, for links, the
+// nonce the link carried), so concurrent submissions record a single answer.
+export const submitSurvey = async (survey, { rating, comment }, via = 'app') => {
+  if (survey.status === 'completed') {
+    throw new AppError('SURVEY_ALREADY_SUBMITTED', 'This survey has already been submitted', 409);
+  }
+
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new AppError('INVALID_RATING', 'Rating must be a whole number between 1 and 5', 400, 'rating');
+  }
+
+  const now = new Date();
+  const completed = await Survey.findOneAndUpdate(
+    {
+      _id: survey._id,
+      status: 'pending',
+      ...(via === 'link' ? { tokenNonce: survey.tokenNonce } : {})
+    },
+    {
+      $set: {
+        rating: value,
+        status: 'completed',
+        submittedVia: via,
+        respondedAt: now,
+        updatedAt: now,
+        ...(comment ? { comment } : {})
+      },
+      $unset: { tokenNonce: 1, ...(comment ? {} : { comment: 1 }) }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!completed) {
+    throw new AppError('SURVEY_ALREADY_SUBMITTED', 'This survey has already been submitted', 409);
+  }
+
+  const requester = await User.findById(completed.requester);
+  await createTimelineEntry(
+    completed.ticket,
+    completed.requester,
+    'csat_submitted',
+    `Satisfaction rating ${value}/5 submitted by ${requester?.name || 'requester'}`,
+    {
+      survey: completed._id,
+      rating: value,
+      ...(completed.comment ? { comment: completed.comment } : {})
+    }
+  );
+
+  return completed;
+};
+
+const groupKeys = {
+  agent: '$agent',
+  category: '$category',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$respondedAt' } },
+  month: { $dateToString: { format: '%Y-%m', date: '$respondedAt' } }
+};
+
+// Aggregate completed surveys. CSAT is the share of 4-5 ratings, in percent.
+export const getCSATStats = async ({ groupBy, from, to, agent, category } = {}) => {
+  const match = { status: 'completed' };
+  if (from || to) {
+    match.respondedAt = {};
+    if (from) match.respondedAt.$gte = new Date(from);
+    if (to) match.respondedAt.$lte = new Date(to);
+  }
+  if (agent) match.agent = new mongoose.Types.ObjectId(agent.toString());
+  if (category) match.category = category;
+
+  const results = await Survey.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupBy ? groupKeys[groupBy] : null,
+        responses: { $sum: 1 },
+        averageRating: { $avg: '$rating' },
+        satisfied: { $sum: { $cond: [{ $gte: ['$rating', 4] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const stats = results.map(({ _id, responses, averageRating, satisfied }) => ({
+    ...(groupBy ? { [groupBy]: _id } : {}),
+    responses,
+    averageRating: Math.round(averageRating * 100) / 100,
+    csat: Math.round((satisfied / responses) * 1000) / 10
+  }));
+
+  if (groupBy === 'agent') {
+    const agents = await User.find({ _id: { $in: stats.map(s => s.agent).filter(Boolean) } })
+      .select('name email');
+    stats.forEach(s => {
+      s.agent = agents.find(a => s.agent && a._id.equals(s.agent)) || s.agent;
+    });
+  }
+
+  return stats;
+};
+
+// Single agent's score for the dashboard
+export const getAgentCSAT = async (agentId, since) => {
+  const [stats] = await getCSATStats({ agent: agentId, from: since });
+  return stats || { responses: 0, averageRating: null, csat: null };
+};
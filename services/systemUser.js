@@ -0,0 +1,33 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+
+const SYSTEM_EMAIL = process.env.SYSTEM_USER_EMAIL || 'system@helpdesk.local';
+
+let systemUser = null;
+
+// The actor that background jobs attribute their timeline entries to.
+// It is inactive, so it can never log in or receive assignments.
+export const getSystemUser = async () => {
+  if (systemUser) return systemUser;
+
+  // Random unusable password, hashed so login attempts fail cleanly
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+  systemUser = await User.findOneAndUpdate(
+    { email: SYSTEM_EMAIL },
+    {
+      $setOnInsert: {
+        name: 'System',
+        email: SYSTEM_EMAIL,
+        password,
+        role: 'admin',
+        isActive: false,
+        isSystem: true
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  return systemUser;
+};
@@ -0,0 +1,20 @@
+import Team from '../models/Team.js';
+
+// Team whose queue receives new tickets of a category (oldest team wins ties)
+export const findTeamForCategory = async (category) => {
+  return Team.findOne({ isActive: true, categories: category }).sort({ createdAt: 1 });
+};
+
+// IDs of the teams a user belongs to, for "my teams' queues" filters
+export const getUserTeamIds = async (userId) => {
+  const teams = await Team.findForUser(userId).select('_id').lean();
+  return teams.map(team => team._id);
+};
+
+// Whether `leadId` leads the ticket's team and `assigneeId` is one of its members
+export const canLeadAssign = async (leadId, teamId, assigneeId) => {
+  if (!teamId) return false;
+
+  const team = await Team.findById(teamId);
+  return Boolean(team && team.isActive && team.isLead(leadId) && team.hasMember(assigneeId));
+};
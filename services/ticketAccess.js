@@ -0,0 +1,17 @@
+const idOf = (value) => value?._id || value;
+
+export const isRequester = (user, ticket) => {
+  const createdBy = idOf(ticket.createdBy);
+  return Boolean(createdBy && createdBy.equals(user._id));
+};
+
+export const isWatcher = (user, ticket) =>
+  (ticket.watchers || []).some(watcher => idOf(watcher).equals(user._id));
+
+// Who may see a ticket (and comment on it). Agents and admins see every
+// ticket; customers see the tickets they requested or watch.
+export const canViewTicket = (user, ticket) => {
+  if (['agent', 'admin'].includes(user.role)) return true;
+
+  return isRequester(user, ticket) || isWatcher(user, ticket);
+};
@@ -0,0 +1,354 @@
+import Ticket from '../models/Ticket.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import { createTimelineEntry, recordSLABreach } from './timeline.js';
+import { formatDuration } from '../utils/businessHours.js';
+import { AppError } from '../utils/AppError.js';
+import { STATUSES, assertTransition } from './workflow.js';
+import { issueSurveyIfResolved } from './surveys.js';
+import { autoAssignTicket } from './assignment.js';
+import { removeAttachments } from './attachments.js';
+import { resolveMentions } from './mentions.js';
+import { notifyTicketEvent } from './notifications.js';
+
+// Ticket mutations shared by the REST routes and background jobs
+// (escalations etc.). Each one saves the ticket, writes its timeline entry and
+// sends its notifications; `actor` is the user performing the change (the
+// system user for jobs).
+
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Record an SLA clock pause/resume left behind by the Ticket pre-save hook
+export const recordSLAClockEvent = async (ticket, userId) => {
+  const event = ticket.$locals.slaClockEvent;
+  if (!event) return;
+  delete ticket.$locals.slaClockEvent;
+
+  const { action, ...details } = event;
+  const description = action === 'sla_paused'
+    ? `SLA clock paused (status: ${event.status})`
+    : `SLA clock resumed after ${formatDuration(event.duration)} paused`;
+
+  await createTimelineEntry(ticket._id, userId, action, description, details);
+};
+
+// Describe a deadline move for timeline entries
+export const describeDeadlineChange = (slaChange) => {
+  const format = (date) => date ? new Date(date).toISOString() : 'none';
+  return `response deadline ${format(slaChange.oldResponseDeadline)} -> ${format(slaChange.newResponseDeadline)}, ` +
+    `resolution deadline ${format(slaChange.oldResolutionDeadline)} -> ${format(slaChange.newResolutionDeadline)}`;
+};
+
+// Apply a new priority: re-resolve the SLA policy and recompute deadlines.
+// Returns the SLA change for the timeline; the caller saves the ticket.
+export const applyPriorityChange = async (ticket, priority) => {
+  ticket.priority = priority;
+  return ticket.recomputeSLA();
+};
+
+// Timeline entries for breaches caused by a recomputed (earlier) deadline
+export const recordRecomputedBreaches = async (ticket, slaChange) => {
+  for (const slaType of slaChange.newlyBreached) {
+    await recordSLABreach(ticket, slaType);
+  }
+};
+
+// Create a ticket on behalf of `actor` and run auto-assignment. Attachments
+// are already stored and are removed again if the ticket cannot be saved.
+export const createTicket = async ({ title, description, priority, category, attachments = [] }, actor) => {
+  let ticket;
+  try {
+    ticket = await Ticket.create({
+      title,
+      description,
+      priority: priority || 'medium',
+      category: category || 'general',
+      createdBy: actor._id,
+      attachments
+    });
+  } catch (error) {
+    await removeAttachments(attachments);
+    throw error;
+  }
+
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'created',
+    `Ticket created by ${actor.name}`
+  );
+
+  // Auto-assignment must never fail ticket creation
+  try {
+    await autoAssignTicket(ticket);
+  } catch (error) {
+    console.error('Auto-assignment error:', error);
+  }
+
+  return ticket;
+};
+
+// Log a reopen detected by the Ticket pre-save hook
+export const recordReopen = async (ticket, actor, oldStatus, { reason } = {}) => {
+  if (!ticket.$locals.reopened) return false;
+  delete ticket.$locals.reopened;
+
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'reopened',
+    `Ticket reopened by ${actor.name} (${oldStatus} -> ${ticket.status})`,
+    {
+      oldStatus,
+      newStatus: ticket.status,
+      reopenCount: ticket.reopenCount,
+      resolutionDeadline: ticket.sla.resolutionDeadline,
+      ...(reason ? { reason } : {})
+    }
+  );
+  return true;
+};
+
+// Change status, enforcing the workflow for the actor's role unless
+// `enforceWorkflow` is false (callers that did their own checks, e.g. reopen).
+// `timelineEntry` ({ action, description, details }) replaces the default
+// status_changed entry, e.g. for jobs that log their own action.
+export const changeTicketStatus = async (ticket, status, actor, { reason, enforceWorkflow = true, timelineEntry } = {}) => {
+  if (!STATUSES.includes(status)) {
+    throw new AppError('INVALID_STATUS', 'Invalid status value', 400, 'status');
+  }
+
+  const oldStatus = ticket.status;
+  if (enforceWorkflow) {
+    await assertTransition(actor, oldStatus, status);
+  }
+
+  ticket.status = status;
+  await ticket.save();
+
+  // Reopens get their own timeline action instead of status_changed
+  if (!(await recordReopen(ticket, actor, oldStatus, { reason }))) {
+    await createTimelineEntry(
+      ticket._id,
+      actor._id,
+      timelineEntry?.action || 'status_changed',
+      timelineEntry?.description || `Status changed from ${oldStatus} to ${status} by ${actor.name}${reason ? ` (${reason})` : ''}`,
+      { oldStatus, newStatus: status, ...(reason ? { reason } : {}), ...timelineEntry?.details }
+    );
+  }
+  await recordSLAClockEvent(ticket, actor._id);
+  await issueSurveyIfResolved(ticket);
+
+  if (status !== oldStatus) {
+    await notifyTicketEvent('status_changed', { ticket, actor, oldStatus });
+  }
+
+  return ticket;
+};
+
+// Assign (or unassign, with a null assignee) a ticket
+export const assignTicket = async (ticket, assigneeId, actor, { reason } = {}) => {
+  let assignee = null;
+  if (assigneeId) {
+    assignee = await User.findById(assigneeId);
+    if (!assignee || !['agent', 'admin'].includes(assignee.role)) {
+      throw new AppError('INVALID_ASSIGNEE', 'Can only assign to agents or admins');
+    }
+  }
+
+  const oldAssignee = ticket.assignedTo;
+  ticket.assignedTo = assignee ? assignee._id : null;
+  await ticket.save();
+
+  const oldUser = oldAssignee ? await User.findById(oldAssignee) : null;
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'assigned',
+    `Ticket ${assignee ? 'assigned to' : 'unassigned from'} ${assignee?.name || oldUser?.name || 'agent'}${reason ? ` (${reason})` : ''}`,
+    { oldAssignee: oldUser?.name, newAssignee: assignee?.name, ...(reason ? { reason } : {}) }
+  );
+
+  if (assignee && !assignee._id.equals(oldAssignee)) {
+    await notifyTicketEvent('ticket_assigned', { ticket, actor });
+  }
+
+  return ticket;
+};
+
+// Add a watcher; returns false if they were already watching
+export const addWatcher = async (ticket, watcher, actor) => {
+  if (ticket.watchers.some(id => id.equals(watcher._id))) return false;
+
+  ticket.watchers.push(watcher._id);
+  await ticket.save();
+
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'watcher_added',
+    `${watcher.name} added as a watcher by ${actor.name}`,
+    { watcher: watcher._id, watcherName: watcher.name, watcherRole: watcher.role }
+  );
+  return true;
+};
+
+// Remove a watcher; returns false if they were not watching
+export const removeWatcher = async (ticket, watcher, actor) => {
+  if (!ticket.watchers.some(id => id.equals(watcher._id))) return false;
+
+  ticket.watchers.pull(watcher._id);
+  await ticket.save();
+
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'watcher_removed',
+    watcher._id.equals(actor._id)
+      ? `${watcher.name} stopped watching`
+      : `${watcher.name} removed as a watcher by ${actor.name}`,
+    { watcher: watcher._id, watcherName: watcher.name, watcherRole: watcher.role }
+  );
+  return true;
+};
+
+// Change priority, recomputing the SLA deadlines
+export const changeTicketPriority = async (ticket, priority, actor, { reason } = {}) => {
+  if (!PRIORITIES.includes(priority)) {
+    throw new AppError('INVALID_PRIORITY', 'Invalid priority value', 400, 'priority');
+  }
+
+  const oldPriority = ticket.priority;
+  const slaChange = await applyPriorityChange(ticket, priority);
+  await ticket.save();
+
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'priority_changed',
+    `Priority changed from ${oldPriority} to ${priority} by ${actor.name} (${reason ? `${reason}, ` : ''}${describeDeadlineChange(slaChange)})`,
+    { oldPriority, newPriority: priority, sla: slaChange }
+  );
+  await recordRecomputedBreaches(ticket, slaChange);
+
+  if (priority !== oldPriority) {
+    await notifyTicketEvent('priority_changed', { ticket, actor, oldPriority });
+  }
+
+  return slaChange;
+};
+
+// Notifications for field changes applied directly (the generic ticket
+// update), matching what the dedicated mutations above send
+export const notifyTicketChanges = async (ticket, actor, changes) => {
+  for (const { field, oldValue, newValue } of changes) {
+    if (field === 'status') {
+      await notifyTicketEvent('status_changed', { ticket, actor, oldStatus: oldValue });
+    } else if (field === 'priority') {
+      await notifyTicketEvent('priority_changed', { ticket, actor, oldPriority: oldValue });
+    } else if (field === 'assignedTo' && newValue && String(newValue) !== String(oldValue)) {
+      await notifyTicketEvent('ticket_assigned', { ticket, actor });
+    }
+  }
+};
+
+// Add a comment or internal note, tracking the first response
+export const addComment = async (ticket, { content, type = 'comment', attachments = [] }, actor) => {
+  // Check if this is the first response
+  const existingComments = await Comment.countDocuments({
+    ticket: ticket._id,
+    type: 'comment'
+  });
+  const isFirstResponse = existingComments === 0 && type === 'comment';
+  const mentions = await resolveMentions(content, actor);
+
+  const comment = await Comment.create({
+    ticket: ticket._id,
+    author: actor._id,
+    content,
+    type,
+    isFirstResponse,
+    attachments,
+    mentions: mentions.map(user => user._id)
+  });
+
+  // Update ticket's first response timestamp
+  if (isFirstResponse) {
+    ticket.firstResponseAt = new Date();
+  }
+
+  // A customer reply (requester or watcher) to a resolved ticket cancels the auto-close countdown
+  const cancelsAutoClose = ticket.status === 'resolved' && !ticket.autoCloseCancelledAt &&
+    actor.role === 'user';
+  if (cancelsAutoClose) {
+    ticket.autoCloseCancelledAt = new Date();
+  }
+
+  if (isFirstResponse || cancelsAutoClose) {
+    await ticket.save();
+  }
+
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'commented',
+    `${type === 'internal_note' ? 'Internal note' : 'Comment'} added by ${actor.name}`,
+    {
+      comment: comment._id,
+      commentType: type,
+      ...(attachments.length ? { attachments: attachments.length } : {}),
+      ...(mentions.length ? { mentions: mentions.map(user => user._id) } : {}),
+      ...(cancelsAutoClose ? { autoCloseCancelled: true } : {})
+    }
+  );
+
+  await notifyTicketEvent('comment_added', { ticket, actor, comment });
+  if (mentions.length) {
+    await notifyTicketEvent('mentioned', { ticket, actor, comment, mentioned: comment.mentions });
+  }
+
+  return comment;
+};
+
+// Edit a comment's content, keeping the previous version as a revision.
+// Mentions are re-resolved and users mentioned for the first time notified.
+export const editComment = async (ticket, comment, content, actor) => {
+  const previousMentions = comment.mentions.map(id => id.toString());
+  const author = comment.author.equals(actor._id) ? actor : await User.findById(comment.author);
+  const mentions = author ? await resolveMentions(content, author) : [];
+
+  comment.edit(content, actor);
+  comment.mentions = mentions.map(user => user._id);
+  await comment.save();
+  const newMentions = mentions.filter(user => !previousMentions.includes(user._id.toString()));
+
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'comment_edited',
+    `${comment.type === 'internal_note' ? 'Internal note' : 'Comment'} edited by ${actor.name}`,
+    { comment: comment._id, commentType: comment.type, revision: comment.revisions.length }
+  );
+
+  if (newMentions.length) {
+    await notifyTicketEvent('mentioned', { ticket, actor, comment, mentioned: newMentions });
+  }
+
+  return comment;
+};
+
+// Soft-delete a comment, leaving a tombstone in the conversation
+export const deleteComment = async (ticket, comment, actor) => {
+  comment.softDelete(actor);
+  await comment.save();
+
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'comment_deleted',
+    `${comment.type === 'internal_note' ? 'Internal note' : 'Comment'} deleted by ${actor.name}`,
+    { comment: comment._id, commentType: comment.type }
+  );
+
+  return comment;
+};
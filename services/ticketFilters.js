@@ -0,0 +1,81 @@
+import Comment from '../models/Comment.js';
+import { getUserTeamIds } from './teams.js';
+import { buildSearchConditions } from './ticketSearch.js';
+
+// Mongo filter for the ticket list filters shared by GET /api/tickets and the
+// real-time queue stream. Customers are always limited to tickets they requested or watch.
+export const buildTicketFilter = async (user, { status, priority, assignedTo, createdBy, team, queue, breached, mentioned, watching } = {}) => {
+  const query = {};
+  const isStaff = user.role !== 'user';
+
+  // Role-based filtering: customers see tickets they requested or watch
+  if (!isStaff) {
+    query.$and = [{ $or: [{ createdBy: user._id }, { watchers: user._id }] }];
+  }
+
+  // Tickets the user watches
+  if (watching === 'me') {
+    query.watchers = user._id;
+  }
+
+  // Status filter
+  if (status) {
+    query.status = status;
+  }
+
+  // Priority filter
+  if (priority) {
+    query.priority = priority;
+  }
+
+  // Assignment filter ("me" is the current user)
+  if (assignedTo) {
+    query.assignedTo = assignedTo === 'me' ? user._id : assignedTo;
+  }
+
+  // Created by filter (for agents/admins)
+  if (createdBy && isStaff) {
+    query.createdBy = createdBy;
+  }
+
+  // Team queue filter (for agents/admins)
+  if (team && isStaff) {
+    query.team = team;
+  }
+
+  // "My teams' queues": tickets in any team the agent belongs to
+  if (queue === 'my_teams' && isStaff) {
+    const teamIds = await getUserTeamIds(user._id);
+    query.team = team
+      ? { $in: teamIds.filter(id => id.equals(team)) }
+      : { $in: teamIds };
+  }
+
+  // SLA Breached filter (for agents/admins)
+  if (breached === 'true' && isStaff) {
+    query.$or = [
+      { 'sla.isResponseBreached': true },
+      { 'sla.isResolutionBreached': true }
+    ];
+  }
+
+  // "Mentioned me": tickets with a live comment mentioning the agent
+  if (mentioned === 'me' && isStaff) {
+    query._id = { $in: await Comment.distinct('ticket', { mentions: user._id, isDeleted: false }) };
+  }
+
+  return query;
+};
+
+// Narrow a ticket filter by a search query (see services/ticketSearch.js);
+// conditions are ANDed so they never widen the role restriction
+export const applyTicketSearch = async (query, search, user) => {
+  if (!search) return query;
+
+  const conditions = await buildSearchConditions(search, user, { ...query });
+  if (conditions.length) {
+    query.$and = [...(query.$and || []), ...conditions];
+  }
+
+  return query;
+};
@@ -0,0 +1,402 @@
+import mongoose from 'mongoose';
+import Ticket from '../models/Ticket.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import { PRIORITIES } from './ticketActions.js';
+import { STATUSES } from './workflow.js';
+import { visibleCommentsQuery } from './visibility.js';
+import { escapeRegex } from '../utils/regex.js';
+import { buildSnippet, countMatches } from '../utils/searchSnippet.js';
+import { AppError } from '../utils/AppError.js';
+
+// Ticket search query language, e.g.
+//   status:open,pending priority:>=high assignee:me tag:vpn created:>2026-01-01 "exact phrase" -closed
+// Bare words and quoted phrases must appear (as whole words, via the text
+// indexes) in the title, description, tags or a comment the searcher can see
+// (staff also search internal notes);
+// "-" negates any term. Terms are ANDed; commas OR values within a field.
+
+const MAX_SEARCH_LENGTH = 500;
+const MAX_TERMS = 20;
+
+const CATEGORIES = ['technical', 'billing', 'general', 'feature_request'];
+const FLAGS = ['breached', 'unassigned'];
+
+// Field types: enum (list), ordered (list or comparison), date (comparison),
+// tag/user/team (list), flag. Staff-only fields mirror buildTicketFilter.
+const FIELDS = {
+  status: { type: 'enum', path: 'status', values: STATUSES },
+  priority: { type: 'ordered', path: 'priority', values: PRIORITIES },
+  category: { type: 'enum', path: 'category', values: CATEGORIES },
+  tag: { type: 'tag', path: 'tags' },
+  assignee: { type: 'user', path: 'assignedTo', allowNone: true, staffOnly: true },
+  requester: { type: 'user', path: 'createdBy', staffOnly: true },
+  team: { type: 'team', path: 'team', allowNone: true, staffOnly: true },
+  created: { type: 'date', path: 'createdAt' },
+  updated: { type: 'date', path: 'updatedAt' },
+  is: { type: 'flag', values: FLAGS, staffOnly: true }
+};
+
+const COMPARABLE_TYPES = ['ordered', 'date'];
+
+const searchError = (message) => new AppError('INVALID_SEARCH', message, 400, 'search');
+
+// Split the input into raw terms: { negated, field, op, value, phrase, raw }
+const tokenize = (input) => {
+  const terms = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const end = input.indexOf('"', i + 1);
+    if (end === -1) {
+      throw searchError(`Unterminated quote at character ${i + 1}`);
+    }
+    const value = input.slice(i + 1, end);
+    i = end + 1;
+    return value;
+  };
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const negated = input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1]);
+    if (negated) i++;
+
+    if (input[i] === '"') {
+      const value = readQuoted();
+      terms.push({ negated, field: null, value, phrase: true, raw: input.slice(start, i) });
+      continue;
+    }
+
+    let word = '';
+    while (i < input.length && !/\s/.test(input[i]) && input[i] !== '"') {
+      word += input[i++];
+    }
+
+    const fieldMatch = word.match(/^([a-z]+):(.*)$/i);
+    if (!fieldMatch) {
+      terms.push({ negated, field: null, value: word, phrase: false, raw: input.slice(start, i) });
+      continue;
+    }
+
+    const field = fieldMatch[1].toLowerCase();
+    let [, , rest] = fieldMatch;
+    const op = rest.match(/^(>=|<=|>|<)/)?.[0] || ':';
+    rest = rest.slice(op === ':' ? 0 : op.length);
+
+    // field:"quoted value" / field:>="quoted value"
+    if (rest === '' && input[i] === '"') {
+      rest = readQuoted();
+    }
+
+    terms.push({ negated, field, op, value: rest, phrase: false, raw: input.slice(start, i) });
+  }
+
+  return terms;
+};
+
+const parseDate = (value, raw) => {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (!date || date.getUTCDate() !== Number(match[3])) {
+    throw searchError(`"${raw}": not a valid date; use YYYY-MM-DD`);
+  }
+  return date;
+};
+
+// Validate a field term's operator and values
+const validateFieldTerm = (term, { isStaff }) => {
+  const spec = FIELDS[term.field];
+  if (!spec) {
+    throw searchError(`Unknown search field "${term.field}"; use one of: ${Object.keys(FIELDS).join(', ')}`);
+  }
+  if (spec.staffOnly && !isStaff) {
+    throw searchError(`The "${term.field}" search field is not available`);
+  }
+  if (term.op !== ':' && !COMPARABLE_TYPES.includes(spec.type)) {
+    throw searchError(`"${term.raw}": ${term.field} does not support ${term.op}`);
+  }
+
+  const values = term.value.split(',').map(value => value.trim());
+  if (values.some(value => value === '')) {
+    throw searchError(`"${term.raw}": missing value for ${term.field}`);
+  }
+  if (term.op !== ':' && values.length > 1) {
+    throw searchError(`"${term.raw}": ${term.op} takes a single value`);
+  }
+
+  if (spec.values) {
+    const lowered = values.map(value => value.toLowerCase());
+    const unknown = lowered.find(value => !spec.values.includes(value));
+    if (unknown) {
+      throw searchError(`"${term.raw}": unknown ${term.field} "${unknown}"; use one of: ${spec.values.join(', ')}`);
+    }
+    return { ...term, spec, values: lowered };
+  }
+
+  if (spec.type === 'date') {
+    return { ...term, spec, values: values.map(value => parseDate(value, term.raw)) };
+  }
+
+  return { ...term, spec, values };
+};
+
+// Parse a search string into validated terms; throws INVALID_SEARCH errors.
+// Without `isStaff`, staff-only fields are rejected.
+export const parseTicketSearch = (search, { isStaff = false } = {}) => {
+  const input = String(search || '');
+  if (input.length > MAX_SEARCH_LENGTH) {
+    throw searchError(`Search cannot exceed ${MAX_SEARCH_LENGTH} characters`);
+  }
+
+  const terms = tokenize(input);
+  if (terms.length > MAX_TERMS) {
+    throw searchError(`Search cannot have more than ${MAX_TERMS} terms`);
+  }
+
+  return terms.map(term => {
+    if (term.field) return validateFieldTerm(term, { isStaff });
+    if (term.value === '') throw searchError('Empty search phrase');
+    return term;
+  });
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date comparisons work on whole (UTC) days: created:>2026-01-01 starts on the 2nd
+const dateCondition = (op, date) => {
+  const nextDay = new Date(date.getTime() + DAY_MS);
+  switch (op) {
+    case '>': return { $gte: nextDay };
+    case '>=': return { $gte: date };
+    case '<': return { $lt: date };
+    case '<=': return { $lt: nextDay };
+    default: return { $gte: date, $lt: nextDay };
+  }
+};
+
+const orderedCondition = (op, value, order) => {
+  const index = order.indexOf(value);
+  switch (op) {
+    case '>': return { $in: order.slice(index + 1) };
+    case '>=': return { $in: order.slice(index) };
+    case '<': return { $in: order.slice(0, index) };
+    case '<=': return { $in: order.slice(0, index + 1) };
+    default: return value;
+  }
+};
+
+// 24-char hex only: isValidObjectId also accepts any 12-character string
+const isObjectIdString = (value) => /^[a-f0-9]{24}$/i.test(value);
+
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+// "me", "none" (where allowed), a user ID or an email address
+const resolveUser = async (value, term, user) => {
+  if (value.toLowerCase() === 'me') return user._id;
+  if (value.toLowerCase() === 'none' && term.spec.allowNone) return null;
+  if (isObjectIdString(value)) return new mongoose.Types.ObjectId(value);
+
+  const match = await User.findOne({ email: value.toLowerCase() }).select('_id');
+  if (!match) {
+    throw searchError(`"${term.raw}": no user with email ${value}`);
+  }
+  return match._id;
+};
+
+// "none", a team ID or a team name (case-insensitive)
+const resolveTeam = async (value, term) => {
+  if (value.toLowerCase() === 'none') return null;
+  if (isObjectIdString(value)) return new mongoose.Types.ObjectId(value);
+
+  const match = await Team.findOne({ name: exactMatch(value) }).select('_id');
+  if (!match) {
+    throw searchError(`"${term.raw}": no team named ${value}`);
+  }
+  return match._id;
+};
+
+// Live comments the user may search: customers never match internal notes
+const searchableCommentsQuery = (user) => ({ isDeleted: false, ...visibleCommentsQuery(user) });
+
+const textPattern = (value) => new RegExp(escapeRegex(value), 'i');
+
+// Free text matches the ticket body, its tags or any searchable comment.
+// Both lookups are phrase searches on the text indexes, so they match whole
+// words (not substrings). `scope` is the list filter without the search; the
+// comment lookup is limited to tickets in it when the viewer is a customer.
+const textCondition = async (value, user, scope) => {
+  // Terms never contain quotes; backslashes would escape the closing one
+  const phrase = { $search: `"${value.replace(/\\/g, ' ')}"` };
+  const commentScope = user.role === 'user' ? { ticket: { $in: await Ticket.distinct('_id', scope) } } : {};
+
+  const [ticketIds, commentTickets] = await Promise.all([
+    Ticket.distinct('_id', { ...scope, $text: phrase }),
+    Comment.distinct('ticket', { ...commentScope, ...searchableCommentsQuery(user), $text: phrase })
+  ]);
+
+  return { _id: { $in: [...ticketIds, ...commentTickets] } };
+};
+
+const flagConditions = {
+  breached: () => ({ $or: [{ 'sla.isResponseBreached': true }, { 'sla.isResolutionBreached': true }] }),
+  unassigned: () => ({ assignedTo: null })
+};
+
+const fieldCondition = async (term, user) => {
+  const { spec, op, values } = term;
+
+  switch (spec.type) {
+    case 'ordered':
+      if (op !== ':') return { [spec.path]: orderedCondition(op, values[0], spec.values) };
+      return { [spec.path]: { $in: values } };
+    case 'date':
+      return { [spec.path]: dateCondition(op, values[0]) };
+    case 'tag':
+      return { [spec.path]: { $in: values.map(exactMatch) } };
+    case 'user':
+      return { [spec.path]: { $in: await Promise.all(values.map(value => resolveUser(value, term, user))) } };
+    case 'team':
+      return { [spec.path]: { $in: await Promise.all(values.map(value => resolveTeam(value, term))) } };
+    case 'flag':
+      return values.length === 1
+        ? flagConditions[values[0]]()
+        : { $or: values.map(value => flagConditions[value]()) };
+    default:
+      return { [spec.path]: { $in: values } };
+  }
+};
+
+// Mongo conditions (to be ANDed onto `scope`, the list filter) for a search
+// string, as seen by `user`
+export const buildSearchConditions = async (search, user, scope = {}) => {
+  const terms = parseTicketSearch(search, { isStaff: user.role !== 'user' });
+
+  return Promise.all(terms.map(async term => {
+    const condition = term.field ? await fieldCondition(term, user) : await textCondition(term.value, user, scope);
+    return term.negated ? { $nor: [condition] } : condition;
+  }));
+};
+
+// The search's (non-negated) free-text terms
+const searchTextTerms = (search, user) => (search
+  ? parseTicketSearch(search, { isStaff: user.role !== 'user' })
+    .filter(term => !term.field && !term.negated)
+    .map(term => term.value)
+  : []);
+
+// Patterns of the search's free-text terms, for highlight snippets
+export const searchTextPatterns = (search, user) => searchTextTerms(search, user).map(textPattern);
+
+// Snippet scores per occurrence; counts are capped so long texts don't dominate
+const MATCH_WEIGHTS = { title: 5, tags: 3, description: 2, comment: 1 };
+const MAX_COUNTED_MATCHES = 10;
+
+// Ranking orders at most this many (newest) matching tickets
+const MAX_RANKED_RESULTS = 1000;
+
+// A comment hit counts for less than the same hit on the ticket itself
+const COMMENT_SCORE_WEIGHT = 0.5;
+
+const weighted = (field, text, patterns) =>
+  Math.min(countMatches(text, patterns), MAX_COUNTED_MATCHES) * MATCH_WEIGHTS[field];
+
+// Score each ticket and locate its best match: the title, description or
+// tags first, else the comment with the most hits. Keyed by ticket ID.
+// `scores` (from rankTickets) replaces the computed scores when given.
+export const findSearchMatches = async (tickets, patterns, user, scores = null) => {
+  const matches = new Map();
+  if (tickets.length === 0 || patterns.length === 0) return matches;
+
+  const comments = await Comment.find({
+    ticket: { $in: tickets.map(ticket => ticket._id) },
+    ...searchableCommentsQuery(user),
+    $or: patterns.map(pattern => ({ content: pattern }))
+  })
+    .select('ticket content type createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  tickets.forEach(ticket => {
+    const tags = (ticket.tags || []).join(', ');
+    const ticketComments = comments
+      .filter(comment => comment.ticket.equals(ticket._id))
+      .map(comment => ({ comment, score: weighted('comment', comment.content, patterns) }));
+
+    const score = weighted('title', ticket.title, patterns) +
+      weighted('tags', tags, patterns) +
+      weighted('description', ticket.description, patterns) +
+      ticketComments.reduce((sum, { score: commentScore }) => sum + commentScore, 0);
+
+    let match = null;
+    for (const field of ['title', 'description', 'tags']) {
+      const snippet = buildSnippet(field === 'tags' ? tags : ticket[field], patterns);
+      if (snippet) {
+        match = { field, ...snippet };
+        break;
+      }
+    }
+
+    if (!match && ticketComments.length) {
+      // Earliest comment wins ties (sort keeps the createdAt order)
+      const [best] = [...ticketComments].sort((a, b) => b.score - a.score);
+      match = {
+        field: 'comment',
+        comment: best.comment._id,
+        commentType: best.comment.type,
+        ...buildSnippet(best.comment.content, patterns)
+      };
+    }
+
+    matches.set(ticket._id.toString(), { score: scores?.get(ticket._id.toString()) ?? score, match });
+  });
+
+  return matches;
+};
+
+// Rank the tickets matching `query` by relevance (ties: newest first), using
+// the text index scores of each ticket and its searchable comments, so only
+// IDs and scores are read. Returns the ranked IDs, their scores, and whether
+// older matches beyond MAX_RANKED_RESULTS were left out.
+export const rankTickets = async (query, search, user) => {
+  const found = await Ticket.find(query)
+    .select('_id')
+    .sort({ createdAt: -1 })
+    .limit(MAX_RANKED_RESULTS + 1)
+    .lean();
+  const candidateIds = found.slice(0, MAX_RANKED_RESULTS).map(ticket => ticket._id);
+
+  // Any of the words counts towards the score (the query already requires
+  // every term); leading hyphens would negate words, backslashes escape
+  const words = searchTextTerms(search, user).map(term => term.replace(/\\/g, ' ').replace(/(^|\s)-+/g, '$1'));
+  const text = { $search: words.join(' ') };
+
+  const [ticketScores, commentScores] = await Promise.all([
+    Ticket.find({ _id: { $in: candidateIds }, $text: text }, { score: { $meta: 'textScore' } }).lean(),
+    Comment.aggregate([
+      { $match: { $text: text, ticket: { $in: candidateIds }, ...searchableCommentsQuery(user) } },
+      { $group: { _id: '$ticket', score: { $sum: { $meta: 'textScore' } } } }
+    ])
+  ]);
+
+  const scores = new Map(candidateIds.map(id => [id.toString(), 0]));
+  ticketScores.forEach(({ _id, score }) => {
+    scores.set(_id.toString(), scores.get(_id.toString()) + score);
+  });
+  commentScores.forEach(({ _id, score }) => {
+    scores.set(_id.toString(), scores.get(_id.toString()) + score * COMMENT_SCORE_WEIGHT);
+  });
+
+  const scoreOf = (id) => scores.get(id.toString());
+
+  return {
+    ids: [...candidateIds].sort((a, b) => scoreOf(b) - scoreOf(a)),
+    scores,
+    truncated: found.length > MAX_RANKED_RESULTS
+  };
+};
@@ -0,0 +1,38 @@
+import Timeline from '../models/Timeline.js';
+import { getSystemUser } from './systemUser.js';
+import { queueWebhookEvent } from './webhooks.js';
+import { notifyTicketEvent } from './notifications.js';
+
+// Create a timeline entry for a ticket and queue it for subscribed webhooks
+export const createTimelineEntry = async (ticketId, userId, action, description, details = {}) => {
+  const entry = await Timeline.create({
+    ticket: ticketId,
+    user: userId,
+    action,
+    description,
+    details
+  });
+
+  await queueWebhookEvent(entry);
+
+  return entry;
+};
+
+// Write the sla_breach timeline entry for a breach that has just been flagged
+export const recordSLABreach = async (ticket, slaType, systemUser) => {
+  const actor = systemUser || await getSystemUser();
+
+  await createTimelineEntry(
+    ticket._id,
+    actor._id,
+    'sla_breach',
+    `${slaType === 'response' ? 'Response' : 'Resolution'} SLA breached`,
+    {
+      slaType,
+      deadline: slaType === 'response' ? ticket.sla.responseDeadline : ticket.sla.resolutionDeadline,
+      priority: ticket.priority,
+      assignedTo: ticket.assignedTo
+    }
+  );
+  await notifyTicketEvent('sla_breach', { ticket, actor, slaType });
+};
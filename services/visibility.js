@@ -0,0 +1,178 @@
+import { getSetting } from './settings.js';
+
+// Central visibility policy for ticket activity. Every endpoint (and feed or
+// export) that returns tickets, comments or timeline entries to a user runs
+// them through here, so customers never see internal notes, staff-only
+// timeline events or internal details.
+
+const STAFF_ROLES = ['agent', 'admin'];
+
+const isStaff = (user) => Boolean(user && STAFF_ROLES.includes(user.role));
+
+// Timeline details customers may see, per action; everything else is dropped
+const CUSTOMER_DETAIL_FIELDS = {
+  status_changed: ['oldStatus', 'newStatus'],
+  reopened: ['oldStatus', 'newStatus', 'reason'],
+  priority_changed: ['oldPriority', 'newPriority'],
+  commented: ['comment', 'attachments'],
+  comment_edited: ['comment'],
+  comment_deleted: ['comment'],
+  sla_paused: ['status'],
+  sla_resumed: ['status'],
+  csat_submitted: ['rating', 'comment'],
+  closed: ['autoClosed', 'inactiveDays'],
+  watcher_added: ['watcherName'],
+  watcher_removed: ['watcherName']
+};
+
+// Ticket fields whose 'updated' timeline entries customers may see
+const CUSTOMER_VISIBLE_FIELDS = ['title', 'description', 'status', 'priority', 'category', 'tags'];
+
+const COMMENT_ACTIONS = ['commented', 'comment_edited', 'comment_deleted'];
+
+// Customers only see watcher changes involving other customers
+const WATCHER_ACTIONS = ['watcher_added', 'watcher_removed'];
+
+// Load the policy for one viewer (one settings lookup per request)
+export const getVisibilityPolicy = async (viewer) => {
+  if (isStaff(viewer)) {
+    return { viewer, isStaff: true };
+  }
+
+  const [hideAgentNames, agentAlias, hiddenActions] = await Promise.all([
+    getSetting('visibility.hideAgentNames'),
+    getSetting('visibility.agentAlias'),
+    getSetting('visibility.customerHiddenActions')
+  ]);
+
+  return { viewer, isStaff: false, hideAgentNames, agentAlias, hiddenActions };
+};
+
+// Extra conditions for Comment queries so hidden comments are never loaded
+export const visibleCommentsQuery = (viewer) => (isStaff(viewer) ? {} : { type: 'comment' });
+
+const toPlain = (doc) => (doc && typeof doc.toJSON === 'function' ? doc.toJSON() : { ...doc });
+
+// A populated user as the viewer may see it
+const presentUser = (user, policy) => {
+  if (!user || policy.isStaff || !policy.hideAgentNames) return user;
+  if (!STAFF_ROLES.includes(user.role)) return user;
+  return { name: policy.agentAlias, role: 'agent' };
+};
+
+// Name of the user behind an action, as the viewer may see it
+export const displayName = (user, policy) => presentUser(user, policy)?.name || policy.agentAlias;
+
+// Replace a staff member's name with the alias when names are hidden
+const aliasName = (name, policy) => (name && policy.hideAgentNames ? policy.agentAlias : name);
+
+export const presentTicket = (ticket, policy) => {
+  const data = toPlain(ticket);
+  if (policy.isStaff) return data;
+
+  delete data.escalations;
+  if (data.sla) {
+    delete data.sla.policy;
+  }
+  data.assignedTo = presentUser(data.assignedTo, policy);
+  // Staff watchers stay internal; unpopulated IDs cannot be checked, so drop them
+  data.watchers = (data.watchers || []).filter(watcher => watcher?.role === 'user');
+
+  return data;
+};
+
+export const presentComment = (comment, policy) => {
+  const data = toPlain(comment);
+  if (policy.isStaff) return data;
+
+  if (data.type === 'internal_note') return null;
+
+  delete data.revisions;
+  delete data.deletedBy;
+  delete data.mentions; // Would reveal internal users' IDs
+  data.author = presentUser(data.author, policy);
+
+  return data;
+};
+
+// Inbox notification; the actor is aliased like any other staff member
+export const presentNotification = (notification, policy) => {
+  const data = toPlain(notification);
+  if (policy.isStaff) return data;
+
+  data.actor = presentUser(data.actor, policy);
+
+  return data;
+};
+
+export const presentComments = (comments, policy) =>
+  comments.map(comment => presentComment(comment, policy)).filter(Boolean);
+
+const isInternalNoteEntry = (entry) =>
+  COMMENT_ACTIONS.includes(entry.action) &&
+  (entry.details?.commentType === 'internal_note' || entry.description?.startsWith('Internal note'));
+
+// Customer-facing descriptions rebuilt from details, so stored descriptions
+// (which may name agents or escalation rules) are not shown verbatim
+const customerDescriptions = {
+  assigned: (entry, policy) => entry.details?.newAssignee
+    ? `Ticket assigned to ${aliasName(entry.details.newAssignee, policy)}`
+    : 'Ticket unassigned',
+  status_changed: (entry, policy) =>
+    `Status changed from ${entry.details?.oldStatus} to ${entry.details?.newStatus} by ${displayName(entry.user, policy)}`,
+  priority_changed: (entry, policy) =>
+    `Priority changed from ${entry.details?.oldPriority} to ${entry.details?.newPriority} by ${displayName(entry.user, policy)}`,
+  reopened: (entry, policy) => `Ticket reopened by ${displayName(entry.user, policy)}`,
+  commented: (entry, policy) => `Comment added by ${displayName(entry.user, policy)}`,
+  comment_edited: (entry, policy) => `Comment edited by ${displayName(entry.user, policy)}`,
+  comment_deleted: (entry, policy) => `Comment deleted by ${displayName(entry.user, policy)}`,
+  updated: (entry) => {
+    const { field, oldValue, newValue } = entry.details || {};
+    if (['status', 'priority'].includes(field)) {
+      return `${field.charAt(0).toUpperCase() + field.slice(1)} changed from ${oldValue} to ${newValue}`;
+    }
+    return `${field ? field.charAt(0).toUpperCase() + field.slice(1) : 'Ticket'} updated`;
+  }
+};
+
+export const presentTimelineEntry = (entry, policy) => {
+  const data = toPlain(entry);
+  if (policy.isStaff) return data;
+
+  if (policy.hiddenActions.includes(data.action) || isInternalNoteEntry(data)) return null;
+  if (WATCHER_ACTIONS.includes(data.action) && data.details?.watcherRole !== 'user') return null;
+  if (data.action === 'updated' && !CUSTOMER_VISIBLE_FIELDS.includes(data.details?.field)) return null;
+
+  const allowedFields = data.action === 'updated' ? ['field', 'oldValue', 'newValue'] : (CUSTOMER_DETAIL_FIELDS[data.action] || []);
+  const details = {};
+  allowedFields.forEach(key => {
+    if (data.details?.[key] !== undefined) {
+      details[key] = data.details[key];
+    }
+  });
+
+  const describe = customerDescriptions[data.action];
+  if (describe) {
+    data.description = describe(data, policy);
+  } else if (policy.hideAgentNames && isStaff(data.user) && data.user.name) {
+    data.description = data.description.split(data.user.name).join(policy.agentAlias);
+  }
+  data.details = details;
+  data.user = presentUser(data.user, policy);
+
+  return data;
+};
+
+export const presentTimeline = (entries, policy) =>
+  entries.map(entry => presentTimelineEntry(entry, policy)).filter(Boolean);
+
+// Convenience for endpoints returning a ticket with its activity
+export const presentTicketActivity = async ({ ticket, comments = [], timeline = [] }, viewer) => {
+  const policy = await getVisibilityPolicy(viewer);
+
+  return {
+    ticket: presentTicket(ticket, policy),
+    comments: presentComments(comments, policy),
+    timeline: presentTimeline(timeline, policy)
+  };
+};
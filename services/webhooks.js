@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { TIMELINE_WEBHOOK_EVENTS } from '../utils/webhookEvents.js';
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature header value: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+// Receivers recompute the HMAC with their secret and reject stale timestamps.
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// The payload is the timeline entry as written by createTimelineEntry
+const buildPayload = (event, entry) => ({
+  id: entry._id,
+  event,
+  createdAt: entry.createdAt,
+  data: {
+    ticket: entry.ticket,
+    action: entry.action,
+    description: entry.description,
+    details: entry.details,
+    user: entry.user
+  }
+});
+
+// Queue deliveries of a timeline entry to every subscribed webhook.
+// Never throws: webhooks must not fail the change that triggered them.
+export const queueWebhookEvent = async (entry) => {
+  const event = TIMELINE_WEBHOOK_EVENTS[entry.action];
+  if (!event) return 0;
+
+  try {
+    const webhooks = await Webhook.find({ isActive: true, events: event }).select('_id').lean();
+    if (webhooks.length === 0) return 0;
+
+    const payload = buildPayload(event, entry.toObject ? entry.toObject() : entry);
+    await WebhookDelivery.insertMany(webhooks.map(webhook => ({ webhook: webhook._id, event, payload })));
+
+    return webhooks.length;
+  } catch (error) {
+    console.error(`Failed to queue ${event} webhooks for ticket ${entry.ticket}:`, error);
+    return 0;
+  }
+};
+
+// Queue a fresh copy of a delivery (same payload and event ID)
+export const redeliver = async (delivery) => {
+  return WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id
+  });
+};
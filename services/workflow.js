@@ -0,0 +1,50 @@
+import { DEFAULT_TRANSITIONS, getSetting } from './settings.js';
+import { AppError } from '../utils/AppError.js';
+
+export { STATUSES } from './settings.js';
+
+// Statuses a user with this role may move a ticket to from `from`. The
+// setting overrides individual roles and statuses; anything it omits keeps
+// the default.
+export const getAllowedTransitions = async (role, from) => {
+  const overrides = await getSetting('workflow.transitions');
+  const transitions = { ...DEFAULT_TRANSITIONS[role], ...overrides?.[role] };
+  return transitions[from] || [];
+};
+
+// Throw INVALID_TRANSITION unless the user's role may make this status change
+export const assertTransition = async (user, from, to) => {
+  if (from === to) return;
+
+  const allowed = await getAllowedTransitions(user.role, from);
+  if (!allowed.includes(to)) {
+    throw new AppError(
+      'INVALID_TRANSITION',
+      `Cannot change status from ${from} to ${to} (allowed: ${allowed.length ? allowed.join(', ') : 'none'})`,
+      409,
+      'status'
+    );
+  }
+};
+
+// Requesters may reopen their resolved ticket within the grace window
+export const assertCanReopen = async (user, ticket, now = new Date()) => {
+  if (['agent', 'admin'].includes(user.role)) {
+    return assertTransition(user, ticket.status, 'open');
+  }
+
+  if (ticket.status !== 'resolved') {
+    throw new AppError('INVALID_TRANSITION', `Cannot reopen a ticket that is ${ticket.status}`, 409, 'status');
+  }
+
+  const windowDays = await getSetting('workflow.reopenWindowDays');
+  const resolvedAt = ticket.resolvedAt || ticket.updatedAt;
+  if (now.getTime() - resolvedAt.getTime() > windowDays * 24 * 60 * 60 * 1000) {
+    throw new AppError(
+      'INVALID_TRANSITION',
+      `Tickets can only be reopened within ${windowDays} days of resolution`,
+      409,
+      'status'
+    );
+  }
+};
@@ -0,0 +1,19 @@
+// Operational error carrying an API error code; rendered by middleware/errorHandler.js
+export class AppError extends Error {
+  constructor(code, message, statusCode = 400, field) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.field = field;
+    this.isOperational = true;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      ...(this.field ? { field: this.field } : {}),
+      message: this.message
+    };
+  }
+}
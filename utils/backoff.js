@@ -0,0 +1,3 @@
+// Exponential backoff for retried deliveries: base, 2x base, 4x base, ... capped at maxMs
+export const retryDelay = (attempts, baseMs, maxMs = 6 * 60 * 60 * 1000) =>
+  Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), maxMs);
@@ -0,0 +1,194 @@
+// Business-hours arithmetic used for SLA deadlines and remaining-time virtuals.
+//
+// A calendar is a plain object:
+//   {
+//     timezone: 'Europe/London',
+//     workingHours: [{ day: 1, start: '09:00', end: '17:00' }, ...], // day 0 = Sunday
+//     holidays: [{ date: '2026-12-25', name: 'Christmas Day' }, ...]
+//   }
+// A missing calendar (or one without any working hours) is treated as 24/7,
+// which reproduces the old wall-clock behaviour.
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Upper bound on how many calendar days we walk before giving up
+const MAX_DAYS_SCANNED = 2 * 366;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+export const isValidTimezone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const parseTimeOfDay = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Wall-clock parts of an instant in the given timezone
+const getZonedParts = (timestamp, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+};
+
+// Offset (ms) between the timezone's wall clock and UTC at a given instant
+const getOffset = (timestamp, timeZone) => {
+  const p = getZonedParts(timestamp, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - (timestamp - (timestamp % 1000));
+};
+
+// Convert a local date plus minutes-since-midnight into a UTC timestamp
+const zonedToTimestamp = ({ year, month, day }, minutes, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = getOffset(guess, timeZone);
+  let timestamp = guess - offset;
+
+  // Second pass handles instants that straddle a DST change
+  const correctedOffset = getOffset(timestamp, timeZone);
+  if (correctedOffset !== offset) {
+    timestamp = guess - correctedOffset;
+  }
+  return timestamp;
+};
+
+const toLocalDate = (timestamp, timeZone) => {
+  const { year, month, day } = getZonedParts(timestamp, timeZone);
+  return { year, month, day };
+};
+
+const nextLocalDate = ({ year, month, day }) => {
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return {
+    year: next.getUTCFullYear(),
+    month: next.getUTCMonth() + 1,
+    day: next.getUTCDate()
+  };
+};
+
+const formatLocalDate = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+const hasWorkingTime = (calendar) =>
+  Boolean(calendar && calendar.workingHours &&
+    calendar.workingHours.some(h => parseTimeOfDay(h.end) > parseTimeOfDay(h.start)));
+
+// Working intervals ([start, end] timestamps) for one local date, in order
+const getWorkingIntervals = (calendar, localDate) => {
+  const dateKey = formatLocalDate(localDate);
+  if ((calendar.holidays || []).some(h => h.date === dateKey)) {
+    return [];
+  }
+
+  const weekday = new Date(Date.UTC(localDate.year, localDate.month - 1, localDate.day)).getUTCDay();
+  const timeZone = calendar.timezone || 'UTC';
+
+  return calendar.workingHours
+    .filter(h => h.day === weekday && parseTimeOfDay(h.end) > parseTimeOfDay(h.start))
+    .map(h => [
+      zonedToTimestamp(localDate, parseTimeOfDay(h.start), timeZone),
+      zonedToTimestamp(localDate, parseTimeOfDay(h.end), timeZone)
+    ])
+    .sort((a, b) => a[0] - b[0]);
+};
+
+// Add `durationMs` of working time to `start`, skipping nights, weekends and holidays
+export const addBusinessTime = (start, durationMs, calendar) => {
+  const startTime = new Date(start).getTime();
+
+  if (!hasWorkingTime(calendar)) {
+    return new Date(startTime + durationMs);
+  }
+  if (durationMs <= 0) {
+    return new Date(startTime);
+  }
+
+  const timeZone = calendar.timezone || 'UTC';
+  let remaining = durationMs;
+  let localDate = toLocalDate(startTime, timeZone);
+
+  for (let i = 0; i < MAX_DAYS_SCANNED; i++) {
+    for (const [from, to] of getWorkingIntervals(calendar, localDate)) {
+      const segmentStart = Math.max(from, startTime);
+      if (segmentStart >= to) continue;
+
+      if (to - segmentStart >= remaining) {
+        return new Date(segmentStart + remaining);
+      }
+      remaining -= to - segmentStart;
+    }
+    localDate = nextLocalDate(localDate);
+  }
+
+  // Calendar is effectively closed (e.g. holidays everywhere) - fall back to wall clock
+  return new Date(startTime + durationMs);
+};
+
+// Working time (ms) elapsed between two instants
+export const businessTimeBetween = (start, end, calendar) => {
+  const startTime = new Date(start).getTime();
+  const endTime = new Date(end).getTime();
+
+  if (endTime <= startTime) {
+    return 0;
+  }
+  if (!hasWorkingTime(calendar)) {
+    return endTime - startTime;
+  }
+
+  const timeZone = calendar.timezone || 'UTC';
+  let total = 0;
+  let localDate = toLocalDate(startTime, timeZone);
+
+  for (let i = 0; i < MAX_DAYS_SCANNED; i++) {
+    if (zonedToTimestamp(localDate, 0, timeZone) >= endTime) break;
+
+    for (const [from, to] of getWorkingIntervals(calendar, localDate)) {
+      const overlap = Math.min(to, endTime) - Math.max(from, startTime);
+      if (overlap > 0) {
+        total += overlap;
+      }
+    }
+    localDate = nextLocalDate(localDate);
+  }
+
+  return total;
+};
+
+export const hoursToMs = (hours) => hours * 60 * MS_PER_MINUTE;
+
+// Human readable duration, e.g. "2h 30m"
+export const formatDuration = (ms) => {
+  const totalMinutes = Math.round(ms / MS_PER_MINUTE);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours === 0) return `${minutes}m`;
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+};
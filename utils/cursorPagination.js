@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { AppError } from './AppError.js';
+
+// Keyset ("cursor") pagination on the active sort field plus _id. Cursors are
+// opaque base64url tokens naming the sort and the boundary item of a page, so
+// inserts while paging never shift items between pages.
+
+const invalidCursor = (message = 'Cursor is invalid') => new AppError('INVALID_CURSOR', message, 400, 'cursor');
+
+const valueAt = (doc, path) => (typeof doc.get === 'function'
+  ? doc.get(path)
+  : path.split('.').reduce((value, key) => value?.[key], doc));
+
+const encodeValue = (value) => {
+  if (value === undefined || value === null) return { t: 'null' };
+  if (value instanceof Date) return { t: 'date', v: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { t: 'id', v: value.toString() };
+  return { t: typeof value, v: value };
+};
+
+const decodeValue = ({ t, v }) => {
+  switch (t) {
+    case 'null': return null;
+    case 'date': return new Date(v);
+    case 'id': return new mongoose.Types.ObjectId(v);
+    case 'number':
+    case 'string':
+    case 'boolean':
+      if (typeof v !== t) throw invalidCursor();
+      return v;
+    default:
+      throw invalidCursor();
+  }
+};
+
+const encodeCursor = (doc, { sortBy, sortOrder }, direction) => Buffer.from(JSON.stringify({
+  s: sortBy,
+  o: sortOrder,
+  d: direction,
+  k: encodeValue(valueAt(doc, sortBy)),
+  id: doc._id.toString()
+})).toString('base64url');
+
+// Decode a cursor issued for the same sort; throws INVALID_CURSOR otherwise
+export const decodeCursor = (cursor, { sortBy, sortOrder }) => {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (!data || !['next', 'prev'].includes(data.d) || !/^[a-f0-9]{24}$/i.test(data.id || '') || !data.k) {
+    throw invalidCursor();
+  }
+  if (data.s !== sortBy || data.o !== sortOrder) {
+    throw invalidCursor('Cursor was issued for a different sort order');
+  }
+
+  const value = decodeValue(data.k);
+  if (value instanceof Date && Number.isNaN(value.getTime())) throw invalidCursor();
+
+  return { direction: data.d, value, id: new mongoose.Types.ObjectId(data.id) };
+};
+
+// Items strictly after (ascending) the boundary. Nulls sort first, so they
+// precede every value ascending and follow every value descending.
+const afterCondition = (field, value, id, ascending) => {
+  const idCondition = { _id: ascending ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    return ascending
+      ? { $or: [{ [field]: null, ...idCondition }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idCondition };
+  }
+
+  return {
+    $or: [
+      { [field]: ascending ? { $gt: value } : { $lt: value } },
+      { [field]: value, ...idCondition },
+      ...(ascending ? [] : [{ [field]: null }])
+    ]
+  };
+};
+
+// Run a prepared find() (filters and populates applied) for one page.
+// Returns the page's documents plus next/prev cursors (null at either end).
+export const findCursorPage = async (query, { sortBy, sortOrder, limit, cursor }) => {
+  const ascending = sortOrder !== 'desc';
+  const boundary = cursor ? decodeCursor(cursor, { sortBy, sortOrder }) : null;
+  const backwards = boundary?.direction === 'prev';
+
+  // Walking backwards reads the reversed order, then flips the page
+  const readAscending = backwards ? !ascending : ascending;
+  if (boundary) {
+    // A fresh $and, so arrays shared with the caller's filter are not mutated
+    query.setQuery({ $and: [query.getFilter(), afterCondition(sortBy, boundary.value, boundary.id, readAscending)] });
+  }
+
+  const docs = await query
+    .sort({ [sortBy]: readAscending ? 1 : -1, _id: readAscending ? 1 : -1 })
+    .limit(limit + 1);
+
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const sort = { sortBy, sortOrder };
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: last && (backwards || hasMore) ? encodeCursor(last, sort, 'next') : null,
+    prevCursor: first && (backwards ? hasMore : Boolean(boundary)) ? encodeCursor(first, sort, 'prev') : null
+  };
+};
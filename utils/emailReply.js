@@ -0,0 +1,43 @@
+// Helpers for turning an email reply into comment text.
+
+// Lines that start the quoted original in common mail clients
+const QUOTE_HEADERS = [
+  /^On .+ wrote:\s*$/, // Gmail, Apple Mail, Thunderbird
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/i, // Outlook
+  /^_{10,}\s*$/, // Outlook (HTML converted)
+  /^From:\s.+$/ // Forwarded/quoted header block
+];
+
+// Signature delimiter ("-- ") and mobile footers
+const SIGNATURE_MARKERS = [/^--\s*$/, /^Sent from my /];
+
+// Keep only the new text of a reply: drop the quoted original, ">" lines and
+// the signature. Falls back to the full text if nothing would be left.
+export const stripQuotedReply = (text = '') => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (QUOTE_HEADERS.some(pattern => pattern.test(trimmed))) break;
+    if (SIGNATURE_MARKERS.some(pattern => pattern.test(line))) break;
+    if (trimmed.startsWith('>')) continue;
+    kept.push(line);
+  }
+
+  const reply = kept.join('\n').trim();
+  return reply || text.trim();
+};
+
+// Ticket ID from a subject tagged "[Ticket <id>]" by outgoing notifications
+export const findTicketTag = (subject = '') => {
+  const match = /\[Ticket ([a-f0-9]{24})\]/i.exec(subject);
+  return match ? match[1] : null;
+};
+
+// Message-IDs from In-Reply-To / References header values
+export const parseMessageIds = (...values) =>
+  values
+    .flatMap(value => (Array.isArray(value) ? value : [value]))
+    .filter(Boolean)
+    .flatMap(value => String(value).match(/<[^<>\s]+>/g) || []);
@@ -0,0 +1,30 @@
+// Parse "@Name" mentions against a list of users ({ _id, name, email }).
+// Names may contain spaces ("@Agent Johnson"), so at every "@" the longest
+// matching name wins; "@email@example.com" also works. Matching is
+// case-insensitive and a name must end at a word boundary.
+
+const isBoundary = (char) => char === undefined || !/[\p{L}\p{N}_]/u.test(char);
+
+export const findMentions = (content = '', users = []) => {
+  const candidates = users
+    .flatMap(user => [user.email, user.name].filter(Boolean).map(handle => ({ handle: handle.toLowerCase(), user })))
+    .sort((a, b) => b.handle.length - a.handle.length);
+
+  const text = content.toLowerCase();
+  const mentioned = new Map();
+
+  for (let i = text.indexOf('@'); i !== -1; i = text.indexOf('@', i + 1)) {
+    // "@" inside a word (e.g. an email address in the text) is not a mention
+    if (!isBoundary(text[i - 1])) continue;
+
+    const match = candidates.find(({ handle }) =>
+      text.startsWith(handle, i + 1) && isBoundary(text[i + 1 + handle.length]));
+
+    if (match) {
+      mentioned.set(match.user._id.toString(), match.user);
+      i += match.handle.length;
+    }
+  }
+
+  return [...mentioned.values()];
+};
@@ -0,0 +1,14 @@
+// Page size and offset from the query string, shared by offset and cursor
+// pagination. Non-numeric values fall back to the defaults; the limit is
+// clamped to 1..MAX_LIMIT and the offset to zero or more.
+export const MAX_LIMIT = 100;
+
+export const parsePagination = ({ limit, offset } = {}, defaultLimit = 20) => {
+  const parsedLimit = parseInt(limit);
+  const parsedOffset = parseInt(offset);
+
+  return {
+    limit: Number.isNaN(parsedLimit) ? defaultLimit : Math.min(Math.max(parsedLimit, 1), MAX_LIMIT),
+    offset: Number.isNaN(parsedOffset) ? 0 : Math.max(parsedOffset, 0)
+  };
+};
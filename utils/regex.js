@@ -0,0 +1,2 @@
+// Escape user input for literal use inside a RegExp / Mongo $regex
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,45 @@
+// Highlight snippets for search results. Highlights are [start, end) offsets
+// into the snippet rather than markup, so clients escape and render them.
+
+const SNIPPET_RADIUS = 60;
+
+// All [start, end) ranges of the patterns in text, merged and in order
+const findRanges = (text, patterns) => {
+  const ranges = patterns
+    .flatMap(pattern => [...text.matchAll(new RegExp(pattern.source, 'gi'))]
+      .filter(match => match[0].length > 0)
+      .map(match => [match.index, match.index + match[0].length]))
+    .sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+};
+
+// Number of pattern occurrences in text
+export const countMatches = (text, patterns) => findRanges(text || '', patterns).length;
+
+// Excerpt around the first match, or null when nothing matches
+export const buildSnippet = (text, patterns, radius = SNIPPET_RADIUS) => {
+  const ranges = findRanges(text || '', patterns);
+  if (ranges.length === 0) return null;
+
+  const start = Math.max(0, ranges[0][0] - radius);
+  const end = Math.min(text.length, ranges[0][1] + radius);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const shift = prefix.length - start;
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + shift, to + shift])
+  };
+};
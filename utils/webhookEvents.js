@@ -0,0 +1,24 @@
+// Webhook event names for each Timeline action
+export const TIMELINE_WEBHOOK_EVENTS = {
+  created: 'ticket.created',
+  updated: 'ticket.updated',
+  assigned: 'ticket.assigned',
+  unassigned: 'ticket.unassigned',
+  status_changed: 'ticket.status_changed',
+  priority_changed: 'ticket.priority_changed',
+  resolved: 'ticket.resolved',
+  closed: 'ticket.closed',
+  reopened: 'ticket.reopened',
+  escalated: 'ticket.escalated',
+  sla_breach: 'ticket.sla_breach',
+  sla_paused: 'ticket.sla_paused',
+  sla_resumed: 'ticket.sla_resumed',
+  commented: 'comment.created',
+  comment_edited: 'comment.updated',
+  comment_deleted: 'comment.deleted',
+  csat_submitted: 'survey.submitted',
+  watcher_added: 'ticket.watcher_added',
+  watcher_removed: 'ticket.watcher_removed'
+};
+
+export const WEBHOOK_EVENTS = Object.values(TIMELINE_WEBHOOK_EVENTS);